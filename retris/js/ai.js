@@ -0,0 +1,242 @@
+// ai.js - Autoplayer
+
+/**
+ * Feature weights for scoring a placement (higher scores are better)
+ * Tuned for one-piece lookahead: keep the stack low, flat and free of holes
+ */
+const AI_WEIGHTS = {
+    aggregateHeight: -0.51,
+    holes: -0.36,
+    bumpiness: -0.18,
+    lines: 0.76
+};
+
+/**
+ * Autoplayer speeds, keyed by the id stored in settings
+ * moveDelay is the game time (ms) between inputs; 0 places a whole piece each tick
+ */
+const AI_SPEEDS = {
+    slow: { name: 'Slow', moveDelay: 250 },
+    normal: { name: 'Normal', moveDelay: 100 },
+    fast: { name: 'Fast', moveDelay: 33 },
+    instant: { name: 'Instant', moveDelay: 0 }
+};
+
+// Menu idle time (ms) before the attract-mode demo starts
+const ATTRACT_IDLE_MS = 30000;
+
+/**
+ * Plays a Game through the same inputs a player sends (Game.handleInput), so its
+ * games record replays like any other. Each piece gets a plan: the moves to the
+ * best reachable placement of the current piece, or a hold when the other piece
+ * places better. The plan is redone whenever the piece isn't where it expected
+ * (gravity pulled it down, or an input failed).
+ */
+class Autoplayer {
+    constructor(game, { speed = 'normal', allow180 = true, weights = AI_WEIGHTS } = {}) {
+        this.game = game;
+        this.allow180 = allow180;
+        this.weights = weights;
+        this.setSpeed(speed);
+        
+        this.elapsed = 0; // Game time since the last input
+        this.plan = []; // Inputs left for the current piece: [action, arg]
+        this.piece = null; // Piece the plan was made for
+        this.expected = null; // Where the last input should have left it
+    }
+    
+    /**
+     * Change the speed (an id in AI_SPEEDS; unknown ids play at normal speed)
+     */
+    setSpeed(speed) {
+        this.speed = AI_SPEEDS[speed] ? speed : 'normal';
+        this.moveDelay = AI_SPEEDS[this.speed].moveDelay;
+    }
+    
+    /**
+     * Advance by one game tick (called from Game.onTick)
+     */
+    tick(dt) {
+        if (this.game.state !== 'playing' || !this.game.currentPiece) return;
+        
+        this.elapsed += dt;
+        if (this.elapsed < this.moveDelay) return;
+        this.elapsed = 0;
+        
+        if (this.moveDelay > 0) {
+            this.step();
+            return;
+        }
+        // Instant: keep going until the piece is down (or the plan broke)
+        while (this.game.state === 'playing' && this.step()) {
+            // step() did its input
+        }
+    }
+    
+    /**
+     * Send the next input, planning first if needed
+     * Returns false once the piece has locked or an input failed
+     */
+    step() {
+        const piece = this.game.currentPiece;
+        if (piece !== this.piece || this.plan.length === 0 || !this.isAt(piece, this.expected)) {
+            this.plan = this.findPlan();
+            this.piece = piece;
+        }
+        
+        const [action, arg] = this.plan.shift();
+        if (!this.game.handleInput(action, arg)) {
+            this.plan = [];
+            return false;
+        }
+        
+        const current = this.game.currentPiece;
+        this.expected = current && { x: current.x, y: current.y, rotationIndex: current.rotationIndex };
+        return action !== 'hardDrop';
+    }
+    
+    /**
+     * Check if a piece is in an expected position
+     */
+    isAt(piece, expected) {
+        return Boolean(expected) && piece.x === expected.x && piece.y === expected.y &&
+            piece.rotationIndex === expected.rotationIndex;
+    }
+    
+    /**
+     * Plan the inputs for the current piece: the moves to its best placement,
+     * or a lone hold if the held (or next) piece has a better one
+     */
+    findPlan() {
+        const game = this.game;
+        const best = this.findBestPlacement(game.currentPiece);
+        
+        const holdType = game.holdPiece ? game.holdPiece.type : game.nextQueue.length > 0 && game.nextQueue[0].type;
+        if (game.canHold && holdType && holdType !== game.currentPiece.type) {
+            const held = this.findBestPlacement(game.createPiece(holdType));
+            if (held && (!best || held.score > best.score)) {
+                return [['hold', null]];
+            }
+        }
+        
+        return best ? best.moves : [['hardDrop', null]];
+    }
+    
+    /**
+     * Find the best-scoring placement a piece can reach from where it is
+     */
+    findBestPlacement(piece) {
+        let best = null;
+        for (const placement of Autoplayer.findPlacements(this.game, piece, this.allow180)) {
+            const score = this.evaluate(placement.piece);
+            if (!best || score > best.score) {
+                best = { score, moves: placement.moves };
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Score the board a piece would leave after locking and clearing lines
+     */
+    evaluate(piece) {
+        const board = this.game.board.clone();
+        board.placeTetromino(piece);
+        const lines = board.clearLines();
+        
+        const weights = this.weights;
+        return weights.aggregateHeight * board.getAggregateHeight() +
+            weights.holes * board.countHoles() +
+            weights.bumpiness * board.getBumpiness() +
+            weights.lines * lines;
+    }
+    
+    /**
+     * Every distinct resting place a piece can reach with moves, rotations and soft
+     * drops, each with the shortest inputs that get there (ending in a hard drop)
+     * Returns [{ piece, moves }], piece being a copy at the landing position
+     */
+    static findPlacements(game, piece, allow180 = true) {
+        const board = game.board;
+        const probe = game.createPiece(piece.type);
+        const moveTo = (state) => {
+            probe.x = state.x;
+            probe.y = state.y;
+            probe.rotationIndex = state.rotationIndex;
+            probe.shape = probe.rotations[state.rotationIndex];
+            return probe;
+        };
+        const inputs = [
+            ['moveLeft', null, state => ({ ...state, x: state.x - 1 })],
+            ['moveRight', null, state => ({ ...state, x: state.x + 1 })],
+            ['softDrop', null, state => ({ ...state, y: state.y + 1 })],
+            ['rotate', 1, state => Autoplayer.rotateState(board, moveTo(state), 1)],
+            ['rotate', -1, state => Autoplayer.rotateState(board, moveTo(state), -1)],
+            ...(allow180 ? [['rotate', 2, state => Autoplayer.rotateState(board, moveTo(state), 2)]] : [])
+        ];
+        const getKey = state => `${state.x},${state.y},${state.rotationIndex}`;
+        
+        // Breadth-first, so the first route found to a state is a shortest one
+        const start = { x: piece.x, y: piece.y, rotationIndex: piece.rotationIndex, moves: [] };
+        const seen = new Set([getKey(start)]);
+        const queue = [start];
+        const placements = new Map(); // Landing cells -> placement
+        
+        for (let i = 0; i < queue.length; i++) {
+            const state = queue[i];
+            
+            // Hard dropping from here
+            const landing = moveTo(state);
+            while (board.isValidPosition(landing, 0, 1)) {
+                landing.y++;
+            }
+            const cellKey = Autoplayer.getCells(landing).map(([x, y]) => `${x},${y}`).sort().join(' ');
+            if (!placements.has(cellKey)) {
+                const copy = game.createPiece(piece.type);
+                Object.assign(copy, { x: landing.x, y: landing.y, rotationIndex: landing.rotationIndex, shape: landing.shape });
+                placements.set(cellKey, { piece: copy, moves: [...state.moves, ['hardDrop', null]] });
+            }
+            
+            for (const [action, arg, apply] of inputs) {
+                const next = apply(state);
+                if (!next || seen.has(getKey(next))) continue;
+                if (!board.isValidPosition(moveTo(next))) continue;
+                seen.add(getKey(next));
+                queue.push({ ...next, moves: [...state.moves, [action, arg]] });
+            }
+        }
+        
+        return [...placements.values()];
+    }
+    
+    /**
+     * Where a rotation (with kicks) would take a piece, or null if it fails
+     * Mirrors Game.rotate() without touching the game
+     */
+    static rotateState(board, piece, direction) {
+        const rotations = piece.rotations;
+        if (rotations.length < 2) return null;
+        
+        const from = piece.rotationIndex;
+        const to = (from + direction + rotations.length) % rotations.length;
+        if (to === from) return null;
+        
+        for (const [kickX, kickY] of piece.getWallKicks(from, to, board)) {
+            if (board.isValidRotation(piece, to, kickX, kickY)) {
+                return { x: piece.x + kickX, y: piece.y + kickY, rotationIndex: to };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Get the board cells a piece covers, as [x, y]
+     */
+    static getCells(piece) {
+        const cells = [];
+        piece.shape.forEach((row, y) => row.forEach((filled, x) => {
+            if (filled) cells.push([piece.x + x, piece.y + y]);
+        }));
+        return cells;
+    }
+}
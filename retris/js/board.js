@@ -1,30 +1,92 @@
 // board.js - Game Board Management
 
+const GARBAGE_COLOR = '#6b6b6b';
+
+// Hidden rows above the visible field that still hold blocks (guideline buffer zone)
+const BUFFER_ROWS = 20;
+
 class Board {
-    constructor(width = 10, height = 20) {
+    constructor(width = 10, height = 20, bufferRows = BUFFER_ROWS) {
         this.width = width;
-        this.height = height;
-        this.grid = this.createEmptyGrid();
+        this.height = height; // Visible rows
+        this.bufferRows = bufferRows;
+        this.rows = this.createEmptyRows(); // Buffer rows, then visible rows; cells are null or { color, lockedAt }
+        this.rowTags = this.createRowTags(); // Per-row marker for garbage rows (null for normal rows)
         this.clearedLines = []; // Track recently cleared lines for animation
     }
     
     /**
-     * Create an empty grid
+     * Visible rows, top to bottom (field row y is grid[y]; the buffer is at negative y)
      */
-    createEmptyGrid() {
-        return Array.from({ length: this.height }, () => 
+    get grid() {
+        return this.rows.slice(this.bufferRows);
+    }
+    
+    /**
+     * Create empty rows for the buffer and the visible field
+     */
+    createEmptyRows() {
+        return Array.from({ length: this.bufferRows + this.height }, () => 
             Array(this.width).fill(null)
         );
     }
     
+    /**
+     * Get the row at field row y (negative y is in the buffer; null above it)
+     */
+    getRow(y) {
+        return this.rows[y + this.bufferRows] || null;
+    }
+    
+    /**
+     * Create a filled cell
+     * lockedAt is the game time (ms) the block landed, used by the fading stack
+     */
+    createCell(color, lockedAt = 0) {
+        return { color, lockedAt };
+    }
+    
+    /**
+     * Create row tags for an empty grid
+     */
+    createRowTags() {
+        return Array(this.bufferRows + this.height).fill(null);
+    }
+    
     /**
      * Reset the board
      */
     reset() {
-        this.grid = this.createEmptyGrid();
+        this.rows = this.createEmptyRows();
+        this.rowTags = this.createRowTags();
         this.clearedLines = [];
     }
     
+    /**
+     * Copy the board (cells are shared, they're never changed in place)
+     */
+    clone() {
+        const board = new Board(this.width, this.height, this.bufferRows);
+        board.rows = this.rows.map(row => [...row]);
+        board.rowTags = [...this.rowTags];
+        return board;
+    }
+    
+    /**
+     * Fill the bottom of the board from rows of colors (top to bottom, null is empty)
+     * Rows that don't fit above the buffer are dropped
+     */
+    loadRows(colors) {
+        this.reset();
+        const rows = colors.slice(-this.rows.length);
+        rows.forEach((colorRow, i) => {
+            const row = this.rows[this.rows.length - rows.length + i];
+            for (let x = 0; x < this.width; x++) {
+                row[x] = colorRow[x] ? this.createCell(colorRow[x]) : null;
+            }
+        });
+    }
+    
     /**
      * Check if a tetromino position is valid
      */
@@ -45,8 +107,9 @@ class Board {
                         return false;
                     }
                     
-                    // Check collision with placed blocks (ignore if above board)
-                    if (newY >= 0 && this.grid[newY][newX]) {
+                    // Check collision with placed blocks (ignore if above the buffer)
+                    const gridRow = this.getRow(newY);
+                    if (gridRow && gridRow[newX]) {
                         return false;
                     }
                 }
@@ -55,6 +118,16 @@ class Board {
         return true;
     }
     
+    /**
+     * Check if a cell is blocked (walls and floor count as blocked,
+     * the space above the buffer does not)
+     */
+    isCellOccupied(x, y) {
+        if (x < 0 || x >= this.width || y >= this.height) return true;
+        const row = this.getRow(y);
+        return row !== null && row[x] !== null;
+    }
+    
     /**
      * Check if a specific rotation is valid (with wall kicks)
      */
@@ -62,22 +135,23 @@ class Board {
         const tempTetromino = {
             x: tetromino.x + kickX,
             y: tetromino.y + kickY,
-            shape: TETROMINOES[tetromino.type].rotations[newRotationIndex]
+            shape: tetromino.rotations[newRotationIndex]
         };
         return this.isValidPosition(tempTetromino);
     }
     
     /**
-     * Place a tetromino on the board
+     * Place a tetromino on the board, stamping its cells with lockedAt
      */
-    placeTetromino(tetromino) {
+    placeTetromino(tetromino, lockedAt = 0) {
         for (let row = 0; row < tetromino.shape.length; row++) {
             for (let col = 0; col < tetromino.shape[row].length; col++) {
                 if (tetromino.shape[row][col]) {
                     const x = tetromino.x + col;
                     const y = tetromino.y + row;
-                    if (y >= 0 && y < this.height && x >= 0 && x < this.width) {
-                        this.grid[y][x] = tetromino.color;
+                    const gridRow = this.getRow(y);
+                    if (gridRow && x >= 0 && x < this.width) {
+                        gridRow[x] = this.createCell(tetromino.color, lockedAt);
                     }
                 }
             }
@@ -85,31 +159,105 @@ class Board {
     }
     
     /**
-     * Check for and clear complete lines
+     * Check if every cell of a piece is above the visible field (lock-out when it locks)
+     */
+    isAboveField(tetromino) {
+        for (let row = 0; row < tetromino.shape.length; row++) {
+            for (let col = 0; col < tetromino.shape[row].length; col++) {
+                if (tetromino.shape[row][col] && tetromino.y + row >= 0) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Check for and clear complete lines (buffer rows included)
+     * clearedLines holds field rows (negative in the buffer)
      */
     clearLines() {
         let linesCleared = 0;
         this.clearedLines = [];
-        const newGrid = [];
+        const newRows = [];
+        const newTags = [];
         
-        for (let row = this.height - 1; row >= 0; row--) {
-            if (this.grid[row].every(cell => cell !== null)) {
+        for (let row = this.rows.length - 1; row >= 0; row--) {
+            if (this.rows[row].every(cell => cell !== null)) {
                 linesCleared++;
-                this.clearedLines.push(row);
+                this.clearedLines.push(row - this.bufferRows);
             } else {
-                newGrid.unshift([...this.grid[row]]);
+                newRows.unshift([...this.rows[row]]);
+                newTags.unshift(this.rowTags[row]);
             }
         }
         
         // Add empty rows at top
-        while (newGrid.length < this.height) {
-            newGrid.unshift(Array(this.width).fill(null));
+        while (newRows.length < this.rows.length) {
+            newRows.unshift(Array(this.width).fill(null));
+            newTags.unshift(null);
         }
         
-        this.grid = newGrid;
+        this.rows = newRows;
+        this.rowTags = newTags;
         return linesCleared;
     }
     
+    /**
+     * Push garbage rows in from the bottom, shifting the stack up
+     * Each row is full except for one hole: holeColumn if given,
+     * otherwise a random column per row (random() returns [0, 1) like Math.random)
+     * Rows are tagged with tag so they can be counted later; cells are stamped with lockedAt.
+     * Returns true if blocks were pushed out of the top of the buffer (top-out)
+     */
+    addGarbage(count, holeColumn = null, random = Math.random, tag = 'garbage', lockedAt = 0) {
+        let toppedOut = false;
+        
+        for (let i = 0; i < count; i++) {
+            const hole = holeColumn !== null
+                ? clamp(holeColumn, 0, this.width - 1)
+                : Math.floor(random() * this.width);
+            
+            const removed = this.rows.shift();
+            this.rowTags.shift();
+            if (removed.some(cell => cell !== null)) {
+                toppedOut = true;
+            }
+            
+            const row = Array.from({ length: this.width }, (_, x) =>
+                x === hole ? null : this.createCell(GARBAGE_COLOR, lockedAt)
+            );
+            this.rows.push(row);
+            this.rowTags.push(tag);
+        }
+        
+        return toppedOut;
+    }
+    
+    /**
+     * Count rows still on the board with a given tag
+     */
+    countTaggedRows(tag) {
+        return this.rowTags.filter(rowTag => rowTag === tag).length;
+    }
+    
+    /**
+     * Check if the board has no blocks at all (perfect clear)
+     */
+    isEmpty() {
+        return this.rows.every(row => row.every(cell => cell === null));
+    }
+    
+    /**
+     * Get the rows from the highest block down, but never fewer than the visible field
+     * (an empty buffer adds nothing)
+     */
+    getStackRows() {
+        const top = this.rows.findIndex(row => row.some(cell => cell !== null));
+        const start = top === -1 ? this.bufferRows : Math.min(top, this.bufferRows);
+        return this.rows.slice(start);
+    }
+    
     /**
      * Get the Y position where a piece would land (ghost piece)
      */
@@ -129,12 +277,12 @@ class Board {
     }
     
     /**
-     * Get the height of the stack at a specific column
+     * Get the height of the stack at a specific column (above height when in the buffer)
      */
     getColumnHeight(col) {
-        for (let row = 0; row < this.height; row++) {
-            if (this.grid[row][col] !== null) {
-                return this.height - row;
+        for (let row = 0; row < this.rows.length; row++) {
+            if (this.rows[row][col] !== null) {
+                return this.rows.length - row;
             }
         }
         return 0;
@@ -151,6 +299,28 @@ class Board {
         return maxHeight;
     }
     
+    /**
+     * Get the sum of all column heights
+     */
+    getAggregateHeight() {
+        let total = 0;
+        for (let col = 0; col < this.width; col++) {
+            total += this.getColumnHeight(col);
+        }
+        return total;
+    }
+    
+    /**
+     * Get the bumpiness: the summed height differences of neighbouring columns
+     */
+    getBumpiness() {
+        let bumpiness = 0;
+        for (let col = 1; col < this.width; col++) {
+            bumpiness += Math.abs(this.getColumnHeight(col) - this.getColumnHeight(col - 1));
+        }
+        return bumpiness;
+    }
+    
     /**
      * Count the number of holes (empty cells with blocks above)
      */
@@ -158,8 +328,8 @@ class Board {
         let holes = 0;
         for (let col = 0; col < this.width; col++) {
             let foundBlock = false;
-            for (let row = 0; row < this.height; row++) {
-                if (this.grid[row][col] !== null) {
+            for (let row = 0; row < this.rows.length; row++) {
+                if (this.rows[row][col] !== null) {
                     foundBlock = true;
                 } else if (foundBlock) {
                     holes++;
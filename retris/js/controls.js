@@ -5,11 +5,14 @@ class Controls {
         this.game = game;
         this.enabled = true;
         
-        // Key repeat settings
+        // Key repeat settings (DAS/ARR), advanced by the game tick
         this.repeatDelay = 170; // Initial delay before repeat
         this.repeatRate = 50;   // Repeat rate
-        this.repeatTimers = {};
+        this.repeatState = {}; // code -> { elapsed, repeating }
         this.keysDown = new Set();
+        this.keysHeld = new Set(); // Every key currently down (for IRS / IHS)
+        this.allow180 = true; // 180° rotation (off for classic play)
+        this.initialActions = false; // IRS / IHS: rotate / hold keys held at spawn apply to the new piece
         
         // Touch/Swipe settings
         this.touchStartX = 0;
@@ -18,6 +21,7 @@ class Controls {
         this.lastTouchX = 0;
         this.lastTouchY = 0;
         this.touchId = null;
+        this.twoFingerStartTime = null; // Start of a possible two-finger tap (180° rotation)
         
         // Gesture thresholds
         this.cellSize = 28; // Will be updated
@@ -45,15 +49,12 @@ class Controls {
     }
     
     /**
-     * Clear all key repeat timers
+     * Clear all key repeat state
      */
     clearAllRepeats() {
-        for (const key in this.repeatTimers) {
-            clearInterval(this.repeatTimers[key]);
-            clearTimeout(this.repeatTimers[key]);
-        }
-        this.repeatTimers = {};
+        this.repeatState = {};
         this.keysDown.clear();
+        this.keysHeld.clear();
     }
     
     /**
@@ -71,6 +72,9 @@ class Controls {
      * Handle key down events
      */
     handleKeyDown(e) {
+        // Let text fields (name, seed) receive their keys
+        if (e.target && e.target.tagName === 'INPUT') return;
+        
         // Allow pause even when game isn't playing
         if (e.code === 'KeyP' || e.code === 'Escape') {
             e.preventDefault();
@@ -82,8 +86,21 @@ class Controls {
         
         if (!this.enabled || this.game.state !== 'playing') return;
         
+        this.keysHeld.add(e.code);
+        
+        // Practice undo (Ctrl/⌘+Z) and redo (Ctrl/⌘+Shift+Z or Ctrl/⌘+Y)
+        if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+            e.preventDefault();
+            if (e.code === 'KeyY' || e.shiftKey) {
+                this.game.redo();
+            } else {
+                this.game.undo();
+            }
+            return;
+        }
+        
         // Prevent default for game keys
-        const gameKeys = ['ArrowLeft', 'ArrowRight', 'ArrowDown', 'ArrowUp', 'Space', 'KeyA', 'KeyD', 'KeyS', 'KeyW'];
+        const gameKeys = ['ArrowLeft', 'ArrowRight', 'ArrowDown', 'ArrowUp', 'Space', 'KeyA', 'KeyD', 'KeyS', 'KeyW', 'KeyC', 'ShiftLeft', 'ShiftRight'];
         if (gameKeys.includes(e.code)) {
             e.preventDefault();
         }
@@ -97,7 +114,7 @@ class Controls {
         // Setup key repeat for movement keys
         if (['ArrowLeft', 'ArrowRight', 'ArrowDown', 'KeyA', 'KeyD', 'KeyS'].includes(e.code)) {
             this.keysDown.add(e.code);
-            this.setupKeyRepeat(e.code);
+            this.repeatState[e.code] = { elapsed: 0, repeating: false };
         }
     }
     
@@ -106,32 +123,35 @@ class Controls {
      */
     handleKeyUp(e) {
         this.keysDown.delete(e.code);
-        
-        if (this.repeatTimers[e.code]) {
-            clearTimeout(this.repeatTimers[e.code]);
-            clearInterval(this.repeatTimers[e.code]);
-            delete this.repeatTimers[e.code];
-        }
+        this.keysHeld.delete(e.code);
+        delete this.repeatState[e.code];
     }
     
     /**
-     * Setup key repeat for held keys
+     * Advance key repeat for held keys by one game tick
+     * Called from Game.tick so DAS/ARR share the simulation clock
      */
-    setupKeyRepeat(code) {
-        // Clear existing timer
-        if (this.repeatTimers[code]) {
-            clearTimeout(this.repeatTimers[code]);
-            clearInterval(this.repeatTimers[code]);
-        }
-        
-        // Initial delay, then repeat
-        this.repeatTimers[code] = setTimeout(() => {
-            this.repeatTimers[code] = setInterval(() => {
-                if (this.keysDown.has(code) && this.game.state === 'playing') {
-                    this.handleKeyAction(code);
-                }
-            }, this.repeatRate);
-        }, this.repeatDelay);
+    tick(dt) {
+        if (!this.enabled) return;
+        
+        for (const code of this.keysDown) {
+            const repeat = this.repeatState[code];
+            if (!repeat) continue;
+            
+            repeat.elapsed += dt;
+            
+            // Initial delay (DAS), then one action per repeat interval (ARR)
+            if (!repeat.repeating) {
+                if (repeat.elapsed < this.repeatDelay) continue;
+                repeat.repeating = true;
+                repeat.elapsed -= this.repeatDelay;
+                this.handleKeyAction(code);
+            }
+            while (repeat.elapsed >= this.repeatRate && this.game.state === 'playing') {
+                repeat.elapsed -= this.repeatRate;
+                this.handleKeyAction(code);
+            }
+        }
     }
     
     /**
@@ -141,29 +161,68 @@ class Controls {
         switch (code) {
             case 'ArrowLeft':
             case 'KeyA':
-                this.game.moveLeft();
+                this.game.handleInput('moveLeft');
                 break;
             case 'ArrowRight':
             case 'KeyD':
-                this.game.moveRight();
+                this.game.handleInput('moveRight');
                 break;
             case 'ArrowDown':
             case 'KeyS':
-                this.game.softDrop();
+                this.game.handleInput('softDrop');
                 break;
             case 'ArrowUp':
             case 'KeyW':
-                this.game.rotate(1);
+                this.game.handleInput('rotate', 1);
                 break;
             case 'KeyZ':
-                this.game.rotate(-1); // Counter-clockwise
+                this.game.handleInput('rotate', -1); // Counter-clockwise
+                break;
+            case 'KeyQ':
+                this.rotate180();
                 break;
             case 'Space':
-                this.game.hardDrop();
+                this.game.handleInput('hardDrop');
+                break;
+            case 'KeyC':
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.game.handleInput('hold');
                 break;
         }
     }
     
+    /**
+     * Report rotate / hold keys held as a piece spawns (IRS / IHS),
+     * as [[action, arg]] for Game.applyInitialActions
+     */
+    getSpawnInputs() {
+        if (!this.enabled || !this.initialActions) return [];
+        
+        const held = (...codes) => codes.some(code => this.keysHeld.has(code));
+        const inputs = [];
+        if (held('KeyC', 'ShiftLeft', 'ShiftRight')) {
+            inputs.push(['initialHold']);
+        }
+        if (held('KeyQ') && this.allow180) {
+            inputs.push(['initialRotate', 2]);
+        } else if (held('ArrowUp', 'KeyW')) {
+            inputs.push(['initialRotate', 1]);
+        } else if (held('KeyZ')) {
+            inputs.push(['initialRotate', -1]);
+        }
+        return inputs;
+    }
+    
+    /**
+     * Rotate 180° (ignored when disabled in settings)
+     */
+    rotate180() {
+        if (this.allow180) {
+            this.game.handleInput('rotate', 2);
+        }
+    }
+    
     /**
      * Setup touch controls - gesture-based for mobile
      * Based on Apple Safari documentation: https://developer.apple.com/library/archive/documentation/AppleApplications/Reference/SafariWebContent/HandlingEvents/HandlingEvents.html
@@ -255,19 +314,22 @@ class Controls {
         
         switch (control) {
             case 'left':
-                this.game.moveLeft();
+                this.game.handleInput('moveLeft');
                 break;
             case 'right':
-                this.game.moveRight();
+                this.game.handleInput('moveRight');
                 break;
             case 'down':
-                this.game.softDrop();
+                this.game.handleInput('softDrop');
                 break;
             case 'rotate':
-                this.game.rotate(1);
+                this.game.handleInput('rotate', 1);
                 break;
             case 'drop':
-                this.game.hardDrop();
+                this.game.handleInput('hardDrop');
+                break;
+            case 'hold':
+                this.game.handleInput('hold');
                 break;
         }
     }
@@ -278,7 +340,7 @@ class Controls {
     updateCellSize() {
         const canvas = document.getElementById('game-canvas');
         if (canvas && canvas.width > 0) {
-            this.cellSize = canvas.width / 10; // 10 columns
+            this.cellSize = canvas.width / this.game.board.width;
         } else {
             // Fallback cell size if canvas not ready
             this.cellSize = 28;
@@ -303,10 +365,18 @@ class Controls {
         // Only handle if game is playing
         if (!this.enabled || this.game.state !== 'playing') return;
         
+        // A second finger turns the gesture into a two-finger tap
+        if (e.touches && e.touches.length === 2) {
+            this.touchId = null;
+            this.twoFingerStartTime = Date.now();
+            return;
+        }
+        
         // Only handle single touch
         if (!e.touches || e.touches.length !== 1) {
             // If multiple touches, cancel any active touch
             this.touchId = null;
+            this.twoFingerStartTime = null;
             return;
         }
         
@@ -367,18 +437,18 @@ class Controls {
         
         // Horizontal movement
         while (this.dragAccumulatorX >= moveThreshold) {
-            this.game.moveRight();
+            this.game.handleInput('moveRight');
             this.dragAccumulatorX -= moveThreshold;
         }
         while (this.dragAccumulatorX <= -moveThreshold) {
-            this.game.moveLeft();
+            this.game.handleInput('moveLeft');
             this.dragAccumulatorX += moveThreshold;
         }
         
         // Vertical movement (soft drop on drag down)
         const dropThreshold = effectiveCellSize * 0.5;
         while (this.dragAccumulatorY >= dropThreshold) {
-            this.game.softDrop();
+            this.game.handleInput('softDrop');
             this.dragAccumulatorY -= dropThreshold;
         }
         // Reset upward accumulator (no move up)
@@ -391,7 +461,8 @@ class Controls {
     }
     
     /**
-     * Handle touch end - detect tap (rotate) or fast swipe (hard drop)
+     * Handle touch end - detect tap (rotate), two-finger tap (rotate 180°),
+     * fast swipe down (hard drop) or up (hold)
      * Per Apple docs: Use changedTouches to get touches that changed in this event
      */
     handleTouchEnd(e) {
@@ -405,6 +476,18 @@ class Controls {
         
         if (!this.enabled || this.game.state !== 'playing') {
             this.touchId = null;
+            this.twoFingerStartTime = null;
+            return;
+        }
+        
+        // Two-finger tap = rotate 180° (once both fingers lift)
+        if (this.twoFingerStartTime !== null) {
+            if (!e.touches || e.touches.length === 0) {
+                if (Date.now() - this.twoFingerStartTime < this.tapMaxDuration * 1.5) {
+                    this.rotate180();
+                }
+                this.twoFingerStartTime = null;
+            }
             return;
         }
         
@@ -440,14 +523,21 @@ class Controls {
         
         // Tap to rotate (short duration, small movement)
         if (duration < this.tapMaxDuration && distance < this.tapMaxDistance) {
-            this.game.rotate(1);
+            this.game.handleInput('rotate', 1);
             this.touchId = null;
             return;
         }
         
         // Fast swipe down = hard drop
         if (velocityY > this.swipeVelocityThreshold && deltaY > 50) {
-            this.game.hardDrop();
+            this.game.handleInput('hardDrop');
+            this.touchId = null;
+            return;
+        }
+        
+        // Fast swipe up = hold
+        if (velocityY < -this.swipeVelocityThreshold && deltaY < -50) {
+            this.game.handleInput('hold');
             this.touchId = null;
             return;
         }
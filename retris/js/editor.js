@@ -0,0 +1,334 @@
+// editor.js - Board Editor
+
+const EDITOR_FORMAT = 'retris-board';
+const EDITOR_VERSION = 1;
+const EDITOR_HASH_PREFIX = '#board?';
+const EDITOR_MAX_CELL_SIZE = 22;
+const EDITOR_MAX_PIXELS = 440; // Longest side of the editor canvas
+const EDITOR_PREVIEW_COUNT = 6; // Queue pieces drawn (the queue field shows them all)
+
+// Pieces that turn into each other when the board is mirrored
+const MIRRORED_PIECES = { S: 'Z', Z: 'S', J: 'L', L: 'J' };
+
+/**
+ * Board state JSON format (version 1):
+ * {
+ *   format: 'retris-board', version: 1, width, height,
+ *   field, queue, hold: as in a puzzle (see puzzles.js), so a board can be
+ *                       pasted into a puzzle pack with an id and a goal
+ * }
+ * The URL hash carries the same state: #board?w=10&h=20&f=<rows joined by _>&q=TSZ&hold=I
+ */
+class Editor {
+    constructor(canvas, queueCanvas, holdCanvas) {
+        this.canvas = canvas;
+        this.renderer = new Renderer(canvas, queueCanvas, null, holdCanvas);
+        this.renderer.bufferPeek = 0; // Nothing lives above the field here
+        
+        this.brush = 'X'; // Field character painted, '.' erases
+        this.stroke = null; // Character the current drag paints
+        
+        this.reset();
+        this.setupPointer();
+    }
+    
+    /**
+     * Empty the field, queue and hold (optionally at a new size)
+     */
+    reset(width = 10, height = 20) {
+        this.width = width;
+        this.height = height;
+        this.cells = Editor.createCells(width, height); // Rows top to bottom of field characters
+        this.queue = [];
+        this.hold = null;
+        this.resizeCanvas();
+    }
+    
+    /**
+     * Create empty rows of field characters
+     */
+    static createCells(width, height) {
+        return Array.from({ length: height }, () => Array(width).fill('.'));
+    }
+    
+    /**
+     * Change the board size, keeping the stack on the floor and against the left wall
+     */
+    resize(width, height) {
+        const cells = Editor.createCells(width, height);
+        for (let y = 1; y <= Math.min(height, this.height); y++) {
+            for (let x = 0; x < Math.min(width, this.width); x++) {
+                cells[height - y][x] = this.cells[this.height - y][x];
+            }
+        }
+        this.width = width;
+        this.height = height;
+        this.cells = cells;
+        this.resizeCanvas();
+    }
+    
+    /**
+     * Fit the canvas to the board size
+     */
+    resizeCanvas() {
+        this.renderer.setBoardSize(this.width, this.height);
+        this.renderer.setCellSize(Math.min(
+            EDITOR_MAX_CELL_SIZE,
+            Math.floor(EDITOR_MAX_PIXELS / Math.max(this.width, this.height))
+        ));
+    }
+    
+    /**
+     * Paint with the mouse or a finger (a drag keeps painting what its first cell got)
+     */
+    setupPointer() {
+        const begin = (clientX, clientY) => {
+            const cell = this.getCellAt(clientX, clientY);
+            if (!cell) return;
+            // Painting a cell its own color again erases it
+            const current = this.cells[cell.y][cell.x];
+            this.stroke = this.brush !== '.' && current === this.brush ? '.' : this.brush;
+            this.paint(cell);
+        };
+        const move = (clientX, clientY) => {
+            if (this.stroke === null) return;
+            const cell = this.getCellAt(clientX, clientY);
+            if (cell) this.paint(cell);
+        };
+        const end = () => {
+            this.stroke = null;
+        };
+        
+        this.canvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            begin(e.clientX, e.clientY);
+        });
+        this.canvas.addEventListener('mousemove', (e) => move(e.clientX, e.clientY));
+        window.addEventListener('mouseup', end);
+        
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            begin(e.touches[0].clientX, e.touches[0].clientY);
+        }, { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            move(e.touches[0].clientX, e.touches[0].clientY);
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', end);
+        this.canvas.addEventListener('touchcancel', end);
+    }
+    
+    /**
+     * Get the field cell under a point on the page (null outside the field)
+     */
+    getCellAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+        
+        const x = Math.floor((clientX - rect.left) / rect.width * this.width);
+        const y = Math.floor((clientY - rect.top) / rect.height * this.height);
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
+        return { x, y };
+    }
+    
+    /**
+     * Paint one cell with the current stroke
+     */
+    paint({ x, y }) {
+        if (this.cells[y][x] === this.stroke) return;
+        this.cells[y][x] = this.stroke;
+        this.render();
+    }
+    
+    /**
+     * Flip the board left to right (S/Z and J/L swap, in the queue and hold too)
+     */
+    mirror() {
+        const flip = char => MIRRORED_PIECES[char] || char;
+        this.cells = this.cells.map(row => row.map(flip).reverse());
+        this.queue = this.queue.map(flip);
+        this.hold = this.hold && flip(this.hold);
+    }
+    
+    /**
+     * Move the whole field by whole cells (+x right, +y down); cells pushed off are lost
+     */
+    shift(dx, dy) {
+        const cells = Editor.createCells(this.width, this.height);
+        this.cells.forEach((row, y) => row.forEach((char, x) => {
+            if (cells[y + dy] && x + dx >= 0 && x + dx < this.width) {
+                cells[y + dy][x + dx] = char;
+            }
+        }));
+        this.cells = cells;
+    }
+    
+    /**
+     * Empty the field (the queue and hold stay)
+     */
+    clearField() {
+        this.cells = Editor.createCells(this.width, this.height);
+    }
+    
+    /**
+     * Set the queue from typed piece letters (anything else is skipped)
+     */
+    setQueue(text) {
+        this.queue = [...text.toUpperCase()].filter(type => TETROMINOES[type]);
+    }
+    
+    /**
+     * Set the held piece (null for none)
+     */
+    setHold(type) {
+        this.hold = TETROMINOES[type] ? type : null;
+    }
+    
+    /**
+     * Draw the field and the queue and hold previews
+     */
+    render() {
+        const renderer = this.renderer;
+        renderer.clear();
+        this.cells.forEach((row, y) => row.forEach((char, x) => {
+            if (char !== '.') renderer.drawBlock(x, y, getPuzzleCellColor(char));
+        }));
+        
+        const pieces = this.queue.slice(0, EDITOR_PREVIEW_COUNT).map(type => new Tetromino(type));
+        if (pieces.length > 0) {
+            renderer.drawNextPiece(pieces);
+        } else {
+            renderer.nextCtx.clearRect(0, 0, renderer.nextCanvas.width, renderer.nextCanvas.height);
+        }
+        renderer.drawHoldPiece(this.hold ? new Tetromino(this.hold) : null);
+    }
+    
+    /**
+     * Get the field as puzzle rows: top to bottom from the highest filled row
+     */
+    getFieldRows() {
+        const top = this.cells.findIndex(row => row.some(char => char !== '.'));
+        return top < 0 ? [] : this.cells.slice(top).map(row => row.join(''));
+    }
+    
+    /**
+     * Get the options Game.start() needs to play from this board
+     */
+    getStartOptions() {
+        return {
+            mode: 'practice',
+            pieceSet: 'standard',
+            boardWidth: this.width,
+            boardHeight: this.height,
+            field: this.getFieldRows().map(row => [...row].map(getPuzzleCellColor)),
+            queue: [...this.queue],
+            hold: this.hold
+        };
+    }
+    
+    /**
+     * Get the board state for export
+     */
+    toJSON() {
+        return {
+            format: EDITOR_FORMAT,
+            version: EDITOR_VERSION,
+            width: this.width,
+            height: this.height,
+            field: this.getFieldRows(),
+            queue: [...this.queue],
+            ...(this.hold ? { hold: this.hold } : {})
+        };
+    }
+    
+    /**
+     * Get the board state as a URL hash
+     */
+    toHash() {
+        const params = new URLSearchParams({ w: this.width, h: this.height });
+        const field = this.getFieldRows();
+        if (field.length > 0) params.set('f', field.join('_'));
+        if (this.queue.length > 0) params.set('q', this.queue.join(''));
+        if (this.hold) params.set('hold', this.hold);
+        return EDITOR_HASH_PREFIX + params.toString();
+    }
+    
+    /**
+     * Load a board state (see toJSON)
+     */
+    load(state) {
+        this.width = state.width;
+        this.height = state.height;
+        this.cells = Editor.createCells(state.width, state.height);
+        state.field.forEach((row, i) => {
+            this.cells[state.height - state.field.length + i] = [...row];
+        });
+        this.queue = [...state.queue];
+        this.hold = state.hold || null;
+        this.resizeCanvas();
+    }
+    
+    /**
+     * Load the board, pieces and hold of a game (the falling piece goes first in the queue)
+     */
+    loadGame(game) {
+        const pieces = [game.currentPiece, ...game.nextQueue].filter(Boolean);
+        this.load({
+            width: game.board.width,
+            height: game.board.height,
+            field: game.board.grid.map(row => row.map(cell => getPuzzleCellChar(cell && cell.color)).join('')),
+            queue: pieces.map(piece => piece.type).filter(type => TETROMINOES[type]),
+            hold: game.holdPiece && TETROMINOES[game.holdPiece.type] ? game.holdPiece.type : null
+        });
+    }
+    
+    /**
+     * Check a board state read from JSON and return it, throwing on anything unusable
+     */
+    static parse(data) {
+        const state = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!state || state.format !== EDITOR_FORMAT) {
+            throw new Error('Not a board');
+        }
+        if (state.version !== EDITOR_VERSION) {
+            throw new Error(`Unsupported board version ${state.version}`);
+        }
+        
+        const { width, height } = state;
+        if (!Number.isInteger(width) || width < BOARD_WIDTH_RANGE.min || width > BOARD_WIDTH_RANGE.max ||
+            !Number.isInteger(height) || height < BOARD_HEIGHT_RANGE.min || height > BOARD_HEIGHT_RANGE.max) {
+            throw new Error('Board has an invalid size');
+        }
+        const field = state.field || [];
+        if (!Array.isArray(field) || field.length > height ||
+            field.some(row => typeof row !== 'string' || row.length !== width || !/^[.IOTSZJLX]*$/.test(row))) {
+            throw new Error('Board has an invalid field');
+        }
+        const queue = state.queue || [];
+        if (!Array.isArray(queue) || queue.some(type => !TETROMINOES[type]) ||
+            (state.hold && !TETROMINOES[state.hold])) {
+            throw new Error('Board has an invalid queue or hold');
+        }
+        
+        return { ...state, field, queue, hold: state.hold || null };
+    }
+    
+    /**
+     * Read a board state from a URL hash (null if the hash isn't a board)
+     */
+    static parseHash(hash) {
+        if (!hash.startsWith(EDITOR_HASH_PREFIX)) return null;
+        
+        const params = new URLSearchParams(hash.slice(EDITOR_HASH_PREFIX.length));
+        const field = params.get('f');
+        return Editor.parse({
+            format: EDITOR_FORMAT,
+            version: EDITOR_VERSION,
+            width: parseInt(params.get('w'), 10),
+            height: parseInt(params.get('h'), 10),
+            field: field ? field.split('_') : [],
+            queue: [...(params.get('q') || '')],
+            hold: params.get('hold')
+        });
+    }
+}
@@ -0,0 +1,392 @@
+// fumen.js - Fumen (v115) Board Diagram Import and Export
+
+const FUMEN_VERSION = '115';
+const FUMEN_TABLE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const FUMEN_COMMENT_TABLE = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+const FUMEN_COMMENT_BASE = FUMEN_COMMENT_TABLE.length + 1;
+const FUMEN_VIEWER_URL = 'https://fumen.zui.jp/?';
+
+// Diagrams are 10 columns by 23 rows, plus the garbage row waiting below the field
+const FUMEN_WIDTH = 10;
+const FUMEN_HEIGHT = 23;
+const FUMEN_BLOCKS = (FUMEN_HEIGHT + 1) * FUMEN_WIDTH;
+
+// Block ids in the format ('' is empty, X is gray garbage)
+const FUMEN_BLOCK_TYPES = ['', 'I', 'L', 'O', 'Z', 'T', 'J', 'S', 'X'];
+
+// Rotation ids in the format, indexed by rotation state (spawn, right, reverse, left)
+const FUMEN_ROTATIONS = [2, 1, 0, 3];
+
+// Spawn-state minos around each piece's rotation center (+y is up)
+const FUMEN_MINOS = {
+    I: [[0, 0], [-1, 0], [1, 0], [2, 0]],
+    L: [[0, 0], [-1, 0], [1, 0], [1, 1]],
+    O: [[0, 0], [1, 0], [0, 1], [1, 1]],
+    Z: [[0, 0], [1, 0], [0, 1], [-1, 1]],
+    T: [[0, 0], [-1, 0], [1, 0], [0, 1]],
+    J: [[0, 0], [-1, 0], [1, 0], [-1, 1]],
+    S: [[0, 0], [-1, 0], [0, 1], [1, 1]]
+};
+
+// The format stores some pieces one cell away from their rotation center,
+// keyed by type and rotation state: [dx, dy] from stored position to center
+const FUMEN_CENTER_OFFSETS = {
+    O0: [0, -1], O2: [1, 0], O3: [1, -1],
+    I2: [1, 0], I3: [0, -1],
+    S0: [0, -1], S1: [-1, 0],
+    Z0: [0, -1], Z3: [1, 0]
+};
+
+/**
+ * A page of a fumen diagram:
+ * {
+ *   field: 240 block types ('' empty), row by row from the top of the field down,
+ *          the last 10 being the garbage row below it,
+ *   piece: { type, rotation, x, y } or null (rotation is a state index, x / y the
+ *          rotation center with y counted up from the bottom row),
+ *   comment, lock (place the piece and clear lines for the next page),
+ *   rise (then push the garbage row in), mirror (then flip the field)
+ * }
+ */
+class Fumen {
+    /**
+     * Create an empty field
+     */
+    static createField() {
+        return Array(FUMEN_BLOCKS).fill('');
+    }
+    
+    /**
+     * Index into a field for column x of row y (y = -1 is the garbage row)
+     */
+    static getIndex(x, y) {
+        return (FUMEN_HEIGHT - 1 - y) * FUMEN_WIDTH + x;
+    }
+    
+    /**
+     * Get the cells a piece covers as [x, y] pairs
+     */
+    static getPieceCells(piece) {
+        return FUMEN_MINOS[piece.type].map(([x, y]) => {
+            for (let i = 0; i < piece.rotation; i++) {
+                [x, y] = [y, -x];
+            }
+            return [piece.x + x, piece.y + y];
+        });
+    }
+    
+    /**
+     * Get the field after a page: its piece placed, lines cleared, then rise / mirror
+     */
+    static applyPage(page) {
+        const field = [...page.field];
+        if (!page.lock) return field;
+        
+        if (page.piece) {
+            Fumen.getPieceCells(page.piece).forEach(([x, y]) => {
+                if (x >= 0 && x < FUMEN_WIDTH && y >= 0 && y < FUMEN_HEIGHT) {
+                    field[Fumen.getIndex(x, y)] = page.piece.type;
+                }
+            });
+        }
+        
+        let rows = [];
+        for (let i = 0; i < FUMEN_HEIGHT; i++) {
+            rows.push(field.slice(i * FUMEN_WIDTH, (i + 1) * FUMEN_WIDTH));
+        }
+        let garbage = field.slice(FUMEN_HEIGHT * FUMEN_WIDTH);
+        
+        rows = rows.filter(row => row.some(block => block === ''));
+        while (rows.length < FUMEN_HEIGHT) {
+            rows.unshift(Array(FUMEN_WIDTH).fill(''));
+        }
+        if (page.rise) {
+            rows = [...rows.slice(1), garbage];
+            garbage = Array(FUMEN_WIDTH).fill('');
+        }
+        if (page.mirror) {
+            rows = rows.map(row => [...row].reverse());
+        }
+        return [...rows.flat(), ...garbage];
+    }
+    
+    /**
+     * Encode pages as a fumen code ('v115@...')
+     * Pages may leave out field (the previous page's result), comment (the previous
+     * page's) and flags
+     */
+    static encode(pages) {
+        const digits = [];
+        const push = (value, count) => {
+            for (let i = 0; i < count; i++) {
+                digits.push(value % 64);
+                value = Math.floor(value / 64);
+            }
+        };
+        
+        let prevField = Fumen.createField();
+        let prevComment = '';
+        let repeatIndex = -1; // Digit counting further pages with an unchanged field
+        
+        pages.forEach((input, index) => {
+            const page = {
+                field: input.field || prevField,
+                piece: input.piece || null,
+                comment: input.comment !== undefined ? input.comment : prevComment,
+                lock: input.lock !== false,
+                rise: !!input.rise,
+                mirror: !!input.mirror
+            };
+            
+            // Field: runs of (change in block id, count) from the previous field
+            const runs = [];
+            page.field.forEach((type, i) => {
+                const diff = FUMEN_BLOCK_TYPES.indexOf(type) - FUMEN_BLOCK_TYPES.indexOf(prevField[i]) + 8;
+                const last = runs[runs.length - 1];
+                if (last && last.diff === diff) {
+                    last.count++;
+                } else {
+                    runs.push({ diff, count: 1 });
+                }
+            });
+            const unchanged = runs.length === 1 && runs[0].diff === 8;
+            if (!unchanged) {
+                runs.forEach(run => push(run.diff * FUMEN_BLOCKS + run.count - 1, 2));
+                repeatIndex = -1;
+            } else if (repeatIndex < 0 || digits[repeatIndex] === 63) {
+                push(8 * FUMEN_BLOCKS + FUMEN_BLOCKS - 1, 2);
+                push(0, 1);
+                repeatIndex = digits.length - 1;
+            } else {
+                digits[repeatIndex]++;
+            }
+            
+            // Action: piece, position and page flags packed into one number
+            const piece = page.piece;
+            const hasComment = page.comment !== prevComment;
+            let position = 0;
+            if (piece) {
+                const [dx, dy] = FUMEN_CENTER_OFFSETS[`${piece.type}${piece.rotation}`] || [0, 0];
+                position = Fumen.getIndex(piece.x - dx, piece.y - dy);
+            }
+            let action = page.lock ? 0 : 1;
+            action = action * 2 + (hasComment ? 1 : 0);
+            action = action * 2 + (index === 0 ? 1 : 0); // Guideline colors
+            action = action * 2 + (page.mirror ? 1 : 0);
+            action = action * 2 + (page.rise ? 1 : 0);
+            action = action * FUMEN_BLOCKS + position;
+            action = action * 4 + (piece ? FUMEN_ROTATIONS[piece.rotation] : 0);
+            action = action * 8 + (piece ? FUMEN_BLOCK_TYPES.indexOf(piece.type) : 0);
+            push(action, 3);
+            
+            // Comment: escaped text, four characters per five digits
+            if (hasComment) {
+                const text = escape(page.comment).slice(0, 4095);
+                push(text.length, 2);
+                for (let i = 0; i < text.length; i += 4) {
+                    let value = 0;
+                    [...text.slice(i, i + 4)].forEach((char, j) => {
+                        value += FUMEN_COMMENT_TABLE.indexOf(char) * Math.pow(FUMEN_COMMENT_BASE, j);
+                    });
+                    push(value, 5);
+                }
+                prevComment = page.comment;
+            }
+            
+            prevField = Fumen.applyPage(page);
+        });
+        
+        // Long codes get a '?' after the first 42 characters and every 47 after that
+        const data = digits.map(digit => FUMEN_TABLE[digit]).join('');
+        const chunks = [data.slice(0, 42)];
+        for (let i = 42; i < data.length; i += 47) {
+            chunks.push(data.slice(i, i + 47));
+        }
+        return `v${FUMEN_VERSION}@${chunks.join('?')}`;
+    }
+    
+    /**
+     * Decode a fumen code (or a viewer URL containing one) into pages
+     * Throws on anything that isn't v115 data
+     */
+    static decode(text) {
+        const match = String(text).match(/[vmd]115@([A-Za-z0-9+/?]*)/);
+        if (!match) {
+            throw new Error('Not a v115 fumen code');
+        }
+        
+        const digits = [...match[1].replace(/\?/g, '')].map(char => FUMEN_TABLE.indexOf(char));
+        let position = 0;
+        const poll = (count) => {
+            if (position + count > digits.length) {
+                throw new Error('Fumen code is cut short');
+            }
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                value += digits[position + i] * Math.pow(64, i);
+            }
+            position += count;
+            return value;
+        };
+        
+        const pages = [];
+        let prevField = Fumen.createField();
+        let prevComment = '';
+        let repeatCount = 0; // Pages left that reuse the previous field without data
+        
+        while (position < digits.length) {
+            let field = [...prevField];
+            if (repeatCount > 0) {
+                repeatCount--;
+            } else {
+                for (let index = 0; index < FUMEN_BLOCKS;) {
+                    const value = poll(2);
+                    const diff = Math.floor(value / FUMEN_BLOCKS) - 8;
+                    const count = value % FUMEN_BLOCKS + 1;
+                    if (diff === 0 && count === FUMEN_BLOCKS) {
+                        repeatCount = poll(1);
+                    }
+                    for (let i = 0; i < count && index < FUMEN_BLOCKS; i++, index++) {
+                        const type = FUMEN_BLOCK_TYPES[FUMEN_BLOCK_TYPES.indexOf(field[index]) + diff];
+                        if (type === undefined) {
+                            throw new Error('Fumen field data is invalid');
+                        }
+                        field[index] = type;
+                    }
+                }
+            }
+            
+            let action = poll(3);
+            const typeId = action % 8;
+            action = Math.floor(action / 8);
+            const rotation = FUMEN_ROTATIONS.indexOf(action % 4);
+            action = Math.floor(action / 4);
+            const location = action % FUMEN_BLOCKS;
+            action = Math.floor(action / FUMEN_BLOCKS);
+            const rise = action % 2 === 1;
+            const mirror = Math.floor(action / 2) % 2 === 1;
+            const hasComment = Math.floor(action / 8) % 2 === 1;
+            const lock = Math.floor(action / 16) % 2 === 0;
+            
+            let piece = null;
+            if (typeId > 0) {
+                const type = FUMEN_BLOCK_TYPES[typeId];
+                const [dx, dy] = FUMEN_CENTER_OFFSETS[`${type}${rotation}`] || [0, 0];
+                const x = location % FUMEN_WIDTH;
+                const y = FUMEN_HEIGHT - 1 - Math.floor(location / FUMEN_WIDTH);
+                piece = { type, rotation, x: x + dx, y: y + dy };
+            }
+            
+            let comment = prevComment;
+            if (hasComment) {
+                const length = poll(2);
+                let escaped = '';
+                for (let i = 0; i < length; i += 4) {
+                    let value = poll(5);
+                    for (let j = 0; j < 4 && i + j < length; j++) {
+                        escaped += FUMEN_COMMENT_TABLE[value % FUMEN_COMMENT_BASE] || '';
+                        value = Math.floor(value / FUMEN_COMMENT_BASE);
+                    }
+                }
+                comment = unescape(escaped);
+            }
+            prevComment = comment;
+            
+            const page = { field, piece, comment, lock, rise, mirror };
+            pages.push(page);
+            prevField = Fumen.applyPage(page);
+        }
+        
+        if (pages.length === 0) {
+            throw new Error('Fumen code has no pages');
+        }
+        return pages;
+    }
+    
+    /**
+     * Get the block type a board cell color stands for (X for garbage and unknown colors)
+     */
+    static getBlockType(color) {
+        const type = Object.keys(FUMEN_MINOS).find(key => TETROMINOES[key].color === color);
+        return type || 'X';
+    }
+    
+    /**
+     * Get the board color for a block type
+     */
+    static getBlockColor(type) {
+        if (!type) return null;
+        return TETROMINOES[type] ? TETROMINOES[type].color : GARBAGE_COLOR;
+    }
+    
+    /**
+     * Convert a standard piece on the board into a page piece (null if it can't be drawn)
+     * The rotation is found by shape, so every rotation system maps onto the diagram's
+     */
+    static fromTetromino(tetromino, board) {
+        if (tetromino.pieceSet !== PIECE_SETS.standard || !FUMEN_MINOS[tetromino.type]) return null;
+        
+        const cells = [];
+        tetromino.shape.forEach((row, r) => row.forEach((filled, c) => {
+            if (filled) cells.push([tetromino.x + c, board.height - 1 - (tetromino.y + r)]);
+        }));
+        const normalize = (list) => {
+            const minX = Math.min(...list.map(([x]) => x));
+            const minY = Math.min(...list.map(([, y]) => y));
+            return { minX, minY, key: list.map(([x, y]) => `${x - minX},${y - minY}`).sort().join(' ') };
+        };
+        const target = normalize(cells);
+        
+        for (let rotation = 0; rotation < 4; rotation++) {
+            const minos = normalize(Fumen.getPieceCells({ type: tetromino.type, rotation, x: 0, y: 0 }));
+            if (minos.key === target.key) {
+                return {
+                    type: tetromino.type,
+                    rotation,
+                    x: target.minX - minos.minX,
+                    y: target.minY - minos.minY
+                };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Create a page from a 10-column board (the bottom 23 rows) and an optional active piece
+     */
+    static fromBoard(board, tetromino = null, comment = '') {
+        if (board.width !== FUMEN_WIDTH) {
+            throw new Error(`Fumen diagrams are ${FUMEN_WIDTH} columns wide`);
+        }
+        
+        const field = Fumen.createField();
+        for (let y = 0; y < FUMEN_HEIGHT; y++) {
+            const row = board.getRow(board.height - 1 - y);
+            if (!row) continue;
+            row.forEach((cell, x) => {
+                if (cell) field[Fumen.getIndex(x, y)] = Fumen.getBlockType(cell.color);
+            });
+        }
+        
+        const piece = tetromino ? Fumen.fromTetromino(tetromino, board) : null;
+        return { field, piece, comment, lock: true, rise: false, mirror: false };
+    }
+    
+    /**
+     * Get a page's field as board rows of colors (top to bottom, null is empty)
+     */
+    static toRows(page) {
+        const rows = [];
+        for (let y = FUMEN_HEIGHT - 1; y >= 0; y--) {
+            rows.push(Array.from({ length: FUMEN_WIDTH }, (_, x) => Fumen.getBlockColor(page.field[Fumen.getIndex(x, y)])));
+        }
+        return rows;
+    }
+    
+    /**
+     * Build a viewer link for a code
+     */
+    static toUrl(code) {
+        return `${FUMEN_VIEWER_URL}${code}`;
+    }
+}
@@ -1,20 +1,105 @@
 // game.js - Core Game Logic
 
+/**
+ * Game modes, keyed by the id stored in settings and replays
+ * levelUp: whether clearing lines raises the level (and gravity)
+ */
+const GAME_MODES = {
+    marathon: { name: 'Marathon', levelUp: true },
+    sprint: { name: 'Sprint', levelUp: false },
+    ultra: { name: 'Ultra', levelUp: true },
+    dig: { name: 'Dig', levelUp: false },
+    practice: { name: 'Practice', levelUp: true },
+    puzzle: { name: 'Puzzle', levelUp: false }
+};
+
+const SPRINT_LINE_GOALS = [20, 40, 100];
+const ULTRA_DEFAULT_TIME_LIMIT = 2 * 60 * 1000;
+const DIG_GARBAGE_ROWS = [5, 10, 15];
+
+// Board sizes the game supports (columns × rows)
+const BOARD_WIDTH_RANGE = { min: 4, max: 20 };
+const BOARD_HEIGHT_RANGE = { min: 20, max: 40 };
+
+// How much of the locked stack is drawn: all of it, fading out after locking, or none
+const STACK_VISIBILITY = ['visible', 'fading', 'invisible'];
+
 class Game {
     constructor() {
         this.board = new Board();
-        this.bagRandomizer = new BagRandomizer();
+        this.seed = null; // Seed of the current piece sequence
+        this.randomizerType = 'bag7'; // Key into RANDOMIZERS
+        this.randomizer = createRandomizer(this.randomizerType);
+        this.pieceSetId = 'standard'; // Key into PIECE_SETS
+        this.pieceSet = PIECE_SETS.standard;
+        this.rotationSystemId = 'srs'; // Key into ROTATION_SYSTEMS
+        this.rotationSystem = ROTATION_SYSTEMS.srs;
         this.currentPiece = null;
-        this.nextPiece = null;
+        this.nextQueue = []; // Upcoming pieces, front is spawned next
+        this.previewCount = 3; // Number of next pieces shown (1-6)
+        this.holdPiece = null;
+        this.canHold = true; // Only one hold per piece drop
         this.score = 0;
+        this.startLevel = 1; // Level picked at the start (1 = NES level 0)
         this.level = 1;
         this.lines = 0;
+        this.combo = -1; // Consecutive line-clearing locks minus one (-1 = no combo)
+        this.backToBack = false; // Last line clear was a Tetris or T-spin
+        this.backToBackCount = 0; // B2B bonuses awarded in a row
         this.state = 'menu'; // menu, playing, paused, gameover
-        this.dropInterval = null;
-        this.lastDropTime = 0;
+        this.endReason = null; // Why the last game ended: blockout, lockout, topout, complete, timeup
+        
+        // Mode: sprint ends when lineGoal lines are cleared, ultra after timeLimit ms,
+        // dig when the garbageRows starting rows are cleared
+        this.mode = 'marathon';
+        this.lineGoal = 40;
+        this.timeLimit = ULTRA_DEFAULT_TIME_LIMIT;
+        this.garbageRows = 10;
+        this.GARBAGE_INTERVAL_MS = 10000; // Dig adds a garbage row this often
+        this.pendingGarbage = 0; // Rows waiting to be pushed in at the next lock
+        this.garbageRandom = null; // Seeded hole columns for dig garbage
+        this.piecesPlaced = 0;
+        this.SPLIT_LINES = 10; // Sprint split every this many lines
+        this.splits = []; // ms elapsed at each split
+        
+        // Memory challenge: locked blocks fade out over fadeDuration ms, or are never drawn
+        this.visibility = 'visible';
+        this.fadeDuration = 4000;
+        
+        // Fixed-timestep simulation: update(dt) runs whole ticks of TICK_MS
+        this.TICK_MS = 1000 / 60;
+        this.MAX_FRAME_MS = 250; // Longer frames are dropped instead of fast-forwarded
+        this.accumulator = 0; // ms waiting to be simulated
+        this.frame = 0; // Ticks simulated since start
+        this.gravityAccumulator = 0; // Fractional rows of gravity built up
+        
         this.lockDelay = 500; // ms before piece locks after landing
-        this.lockTimer = null;
+        this.lockElapsed = 0; // ms the lock delay has been running
         this.isLocking = false;
+        this.maxLockResets = 15; // Move/rotate resets allowed per lowest row
+        this.lockResets = 0;
+        this.lowestRow = 0; // Lowest row the current piece has reached
+        
+        // T-spin tracking: was the last successful action a rotation, and how it was made
+        this.lastActionWasRotation = false;
+        this.lastKickIndex = -1;
+        this.lastRotationDirection = 0; // 1 right, -1 left, 2 half turn
+        this.lastRotationSystem = null; // Id of the rotation system that kicked
+        
+        // Replays: the recording of the current game, or the replay being played back
+        this.recorder = null;
+        this.playback = null; // { replay, index }
+        this.startField = null; // Stack and pieces the game was started from, if any
+        this.startQueue = [];
+        this.startHold = null;
+        this.puzzleGoal = null; // Puzzle mode: the goal that solves it
+        
+        // Practice undo / redo: each lock pushes the snapshot taken when its piece spawned
+        this.MAX_UNDO = 200;
+        this.spawnSnapshot = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoCount = 0; // Placements taken back this game
         
         // Callbacks for events
         this.onScoreUpdate = null;
@@ -22,6 +107,11 @@ class Game {
         this.onLineClear = null;
         this.onGameOver = null;
         this.onPiecePlace = null;
+        this.onComboChange = null;
+        this.onTick = null; // Runs at the start of each tick (input repeat)
+        this.onSplit = null; // Sprint split reached (lines, ms)
+        this.getSpawnInputs = null; // Inputs held as a piece spawns: [[action, arg]] (IRS / IHS)
+        this.onHistoryChange = null; // Practice undo / redo restored a snapshot
         
         // Classic NES Tetris scoring: base points × (level + 1)
         // Single: 40, Double: 100, Triple: 300, Tetris: 1200
@@ -34,6 +124,19 @@ class Game {
             hardDrop: 2
         };
         
+        // Guideline T-spin points × level, indexed by lines cleared
+        this.TSPIN_POINTS = {
+            full: { 0: 400, 1: 800, 2: 1200, 3: 1600 },
+            mini: { 0: 100, 1: 200, 2: 400 }
+        };
+        
+        this.CLEAR_NAMES = { 1: 'SINGLE', 2: 'DOUBLE', 3: 'TRIPLE', 4: 'TETRIS' };
+        
+        // Bonuses (× level): combo step, B2B multiplier on the clear, perfect clear by lines
+        this.COMBO_POINTS = 50;
+        this.BACK_TO_BACK_MULTIPLIER = 1.5;
+        this.PERFECT_CLEAR_POINTS = { 1: 800, 2: 1200, 3: 1800, 4: 2000 };
+        
         // Classic NES Tetris speed curve (milliseconds per drop)
         // Based on frames per gridcell at 60fps
         this.SPEED_CURVE = {
@@ -57,76 +160,368 @@ class Game {
     
     /**
      * Start a new game
+     * Options: seed (replays the exact same piece sequence for a randomizer),
+     * randomizer (key into RANDOMIZERS), mode (key into GAME_MODES),
+     * lineGoal (sprint length, one of SPRINT_LINE_GOALS), timeLimit (ultra length in ms),
+     * startLevel (1-20), garbageRows (dig starting rows, one of DIG_GARBAGE_ROWS),
+     * visibility (one of STACK_VISIBILITY), boardWidth / boardHeight (see BOARD_*_RANGE),
+     * pieceSet (key into PIECE_SETS), rotationSystem (key into ROTATION_SYSTEMS),
+     * field (starting stack as rows of colors, see Board.loadRows),
+     * queue (piece types dealt before the randomizer's), hold (piece type held at the start),
+     * goal (puzzle goal, see PUZZLE_GOALS; puzzles only deal their queue)
      */
-    start() {
+    start({
+        seed = null,
+        randomizer = this.randomizerType,
+        mode = 'marathon',
+        lineGoal = this.lineGoal,
+        timeLimit = this.timeLimit,
+        startLevel = 1,
+        garbageRows = this.garbageRows,
+        visibility = 'visible',
+        boardWidth = 10,
+        boardHeight = 20,
+        pieceSet = 'standard',
+        rotationSystem = 'srs',
+        field = null,
+        queue = [],
+        hold = null,
+        goal = null
+    } = {}) {
+        this.pieceSetId = PIECE_SETS[pieceSet] ? pieceSet : 'standard';
+        this.pieceSet = getPieceSet(this.pieceSetId);
+        this.rotationSystemId = ROTATION_SYSTEMS[rotationSystem] ? rotationSystem : 'srs';
+        this.rotationSystem = getRotationSystem(this.rotationSystemId);
+        this.setBoardSize(boardWidth, boardHeight);
         this.board.reset();
-        this.bagRandomizer = new BagRandomizer();
+        this.seed = seed || generateSeed();
+        this.randomizerType = RANDOMIZERS[randomizer] ? randomizer : 'bag7';
+        this.randomizer = createRandomizer(this.randomizerType, this.seed, Object.keys(this.pieceSet.pieces));
+        this.mode = GAME_MODES[mode] ? mode : 'marathon';
+        this.lineGoal = SPRINT_LINE_GOALS.includes(lineGoal) ? lineGoal : 40;
+        this.timeLimit = timeLimit > 0 ? timeLimit : ULTRA_DEFAULT_TIME_LIMIT;
+        this.garbageRows = DIG_GARBAGE_ROWS.includes(garbageRows) ? garbageRows : 10;
+        this.pendingGarbage = 0;
+        this.piecesPlaced = 0;
+        this.visibility = STACK_VISIBILITY.includes(visibility) ? visibility : 'visible';
+        
+        // Dig starts on a messy stack (a new hole every row), from its own RNG
+        // so the piece sequence matches the seed in every mode
+        if (this.mode === 'dig') {
+            this.garbageRandom = createRng(`${this.seed}:garbage`);
+            this.board.addGarbage(this.garbageRows, null, this.garbageRandom, 'dig');
+        }
+        this.startField = field;
+        this.startQueue = [...queue];
+        this.startHold = hold;
+        this.puzzleGoal = this.mode === 'puzzle' ? goal : null;
+        if (field) {
+            this.board.loadRows(field);
+        }
+        this.splits = [];
+        this.endReason = null;
         this.score = 0;
-        this.level = 1;
+        this.startLevel = clamp(Math.floor(startLevel) || 1, 1, 20);
+        this.level = this.startLevel;
         this.lines = 0;
-        this.isLocking = false;
+        this.combo = -1;
+        this.backToBack = false;
+        this.backToBackCount = 0;
+        this.cancelLockDelay();
+        this.holdPiece = hold && this.pieceSet.pieces[hold] ? this.createPiece(hold) : null;
+        this.canHold = true;
+        
+        this.accumulator = 0;
+        this.frame = 0;
+        
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoCount = 0;
+        
+        // Practice games can be rewound, so they aren't recorded
+        this.playback = null;
+        this.recorder = this.mode === 'practice'
+            ? null
+            : new Replay({ seed: this.seed, ruleset: this.getRuleset() });
         
         // Spawn first pieces
-        this.currentPiece = new Tetromino(this.bagRandomizer.next());
-        this.nextPiece = new Tetromino(this.bagRandomizer.next());
+        this.nextQueue = queue.filter(type => this.pieceSet.pieces[type]).map(type => this.createPiece(type));
+        this.fillNextQueue();
+        this.spawnNextPiece();
+        this.spawnSnapshot = this.mode === 'practice' ? this.createSnapshot() : null;
         
         this.state = 'playing';
-        this.startDropTimer();
+        
+        // A loaded field can already cover the spawn
+        if (!this.board.isValidPosition(this.currentPiece)) {
+            this.gameOver('blockout');
+        }
     }
     
     /**
-     * Get drop speed based on level (Classic NES Tetris curve)
-     * Gets progressively faster, with level 19+ being extremely fast
+     * Start a game that plays back a recorded replay
+     * Player input is ignored until the next start()
      */
-    getDropSpeed() {
-        const level = this.level - 1; // Convert to 0-indexed for classic compatibility
+    startPlayback(replay) {
+        this.start({ ...replay.ruleset, seed: replay.seed });
+        this.recorder = null;
+        this.playback = { replay, index: 0 };
+    }
+    
+    /**
+     * Get the options that affect gameplay, in the form start() accepts
+     */
+    getRuleset() {
+        return {
+            randomizer: this.randomizerType,
+            mode: this.mode,
+            lineGoal: this.lineGoal,
+            timeLimit: this.timeLimit,
+            startLevel: this.startLevel,
+            garbageRows: this.garbageRows,
+            visibility: this.visibility,
+            boardWidth: this.board.width,
+            boardHeight: this.board.height,
+            pieceSet: this.pieceSetId,
+            rotationSystem: this.rotationSystemId,
+            // Only games started from a loaded position carry it
+            ...(this.startField ? { field: this.startField } : {}),
+            ...(this.startQueue.length > 0 ? { queue: this.startQueue } : {}),
+            ...(this.startHold ? { hold: this.startHold } : {}),
+            ...(this.puzzleGoal ? { goal: this.puzzleGoal } : {})
+        };
+    }
+    
+    /**
+     * Whether results can go on the leaderboards, which only rank the standard
+     * tetromino set on the standard 10×20 field
+     */
+    isRanked() {
+        return this.pieceSetId === 'standard' && this.board.width === 10 && this.board.height === 20;
+    }
+    
+    /**
+     * Replace the board if the requested size differs (clamped to the supported range,
+     * and never narrower than the widest piece of the current set)
+     */
+    setBoardSize(width, height) {
+        const minWidth = Math.max(BOARD_WIDTH_RANGE.min, getPieceSetWidth(this.pieceSet));
+        width = clamp(Math.floor(width) || 10, minWidth, BOARD_WIDTH_RANGE.max);
+        height = clamp(Math.floor(height) || 20, BOARD_HEIGHT_RANGE.min, BOARD_HEIGHT_RANGE.max);
+        if (width !== this.board.width || height !== this.board.height) {
+            this.board = new Board(width, height);
+        }
+    }
+    
+    /**
+     * Create a piece at its spawn position on the current board
+     */
+    createPiece(type) {
+        return new Tetromino(type, this.board.width, this.pieceSet, this.rotationSystem);
+    }
+    
+    /**
+     * Advance the simulation by dt milliseconds of real time
+     * Runs as many fixed ticks as fit; the remainder carries over
+     */
+    update(dt) {
+        if (this.state !== 'playing') {
+            this.accumulator = 0;
+            return;
+        }
         
-        // Find the appropriate speed from the curve
-        if (level >= 29) return this.SPEED_CURVE[29];      // Kill screen speed!
-        if (level >= 19) return this.SPEED_CURVE[19];      // 33ms - very fast
-        if (level >= 16) return this.SPEED_CURVE[16];      // 50ms
-        if (level >= 13) return this.SPEED_CURVE[13];      // 67ms
-        if (level >= 10) return this.SPEED_CURVE[10];      // 83ms
+        this.accumulator += Math.min(dt, this.MAX_FRAME_MS);
+        while (this.accumulator >= this.TICK_MS && this.state === 'playing') {
+            this.tick();
+            this.accumulator -= this.TICK_MS;
+        }
+    }
+    
+    /**
+     * Simulate one fixed step: input repeat, gravity, then lock delay
+     * this.frame counts completed ticks, so input between ticks and input
+     * from this tick's repeat share a stamp and replay at the same point
+     */
+    tick() {
+        if (this.state !== 'playing') return;
         
-        // Levels 0-9 have individual speeds
-        return this.SPEED_CURVE[level] || this.SPEED_CURVE[9];
+        if (this.playback) this.playbackInputs();
+        if (this.onTick) this.onTick(this.TICK_MS);
+        this.applyGravity();
+        this.frame++;
+        
+        // Ultra ends on the tick that reaches the limit (counted in whole ticks)
+        if (this.mode === 'ultra' && this.state === 'playing' &&
+            this.frame >= Math.round(this.timeLimit / this.TICK_MS)) {
+            this.gameOver('timeup');
+        }
+        
+        // Dig garbage arrives on a timer but waits for the next lock
+        if (this.mode === 'dig' && this.frame % Math.round(this.GARBAGE_INTERVAL_MS / this.TICK_MS) === 0) {
+            this.pendingGarbage++;
+        }
     }
     
     /**
-     * Start the automatic drop timer
+     * Game time in ms (ticks simulated, so pauses and dropped frames don't count)
      */
-    startDropTimer() {
-        this.stopDropTimer();
-        this.dropInterval = setInterval(() => {
-            if (this.state === 'playing') {
-                this.drop();
+    getElapsedMs() {
+        return this.frame * this.TICK_MS;
+    }
+    
+    /**
+     * Ultra time left in ms
+     */
+    getRemainingMs() {
+        return Math.max(0, this.timeLimit - this.getElapsedMs());
+    }
+    
+    /**
+     * Gravity and lock delay for one tick
+     */
+    applyGravity() {
+        if (this.state !== 'playing' || !this.currentPiece) return;
+        
+        // Gravity in rows per tick; fractions build up across ticks
+        this.gravityAccumulator += this.TICK_MS / this.getDropSpeed();
+        while (this.gravityAccumulator >= 1 && this.state === 'playing') {
+            this.gravityAccumulator -= 1;
+            this.drop();
+        }
+        
+        // Lock delay only runs while resting on the stack
+        if (this.isLocking && this.state === 'playing') {
+            this.lockElapsed += this.TICK_MS;
+            if (this.lockElapsed >= this.lockDelay) {
+                if (this.isAtBottom()) {
+                    this.lockPiece();
+                } else {
+                    this.updateLockState();
+                }
             }
-        }, this.getDropSpeed());
+        }
+    }
+    
+    /**
+     * Run a player input (called by Controls) and record it for the replay
+     * Only inputs that changed something are recorded
+     */
+    handleInput(action, arg) {
+        if (this.state !== 'playing' || this.playback) return false;
+        if (!REPLAY_ACTIONS.some(([name]) => name === action)) return false;
+        if (INITIAL_ACTIONS.includes(action)) return false;
+        
+        // Initial actions on the piece this input spawns are recorded first;
+        // keep the input itself in front of them
+        const index = this.recorder ? this.recorder.actions.length : 0;
+        const handled = this[action](arg);
+        if (handled && this.recorder) {
+            this.recorder.record(this.frame, action, arg, index);
+        }
+        return handled;
+    }
+    
+    /**
+     * Apply the replay inputs recorded before this tick
+     */
+    playbackInputs() {
+        const { replay } = this.playback;
+        while (this.playback.index < replay.actions.length && this.state === 'playing') {
+            const { frame, action, arg } = replay.actions[this.playback.index];
+            // Initial actions wait for the spawn that used them (see applyInitialActions)
+            if (frame > this.frame || INITIAL_ACTIONS.includes(action)) break;
+            this.playback.index++;
+            this[action](arg);
+        }
+    }
+    
+    /**
+     * Set how many upcoming pieces are previewed (clamped to 1-6)
+     */
+    setPreviewCount(count) {
+        this.previewCount = clamp(Math.floor(count) || 1, 1, 6);
+        if (this.currentPiece) {
+            this.fillNextQueue();
+        }
+    }
+    
+    /**
+     * Top up the next queue from the randomizer
+     */
+    fillNextQueue() {
+        // Puzzles are played with their own pieces only
+        if (this.mode === 'puzzle') return;
+        
+        while (this.nextQueue.length < this.previewCount) {
+            this.nextQueue.push(this.createPiece(this.randomizer.next()));
+        }
     }
     
     /**
-     * Stop the drop timer
+     * Take the front of the next queue as the current piece
      */
-    stopDropTimer() {
-        if (this.dropInterval) {
-            clearInterval(this.dropInterval);
-            this.dropInterval = null;
+    spawnNextPiece() {
+        // Once a fixed queue runs out, the held piece is the last one left
+        if (this.nextQueue.length === 0 && this.holdPiece) {
+            this.nextQueue.push(this.holdPiece);
+            this.holdPiece = null;
         }
+        this.currentPiece = this.nextQueue.shift();
+        this.fillNextQueue();
+        this.resetPieceLockState();
     }
     
     /**
-     * Update drop speed (called on level up)
+     * Get the pieces shown in the next preview
      */
-    updateDropSpeed() {
-        this.startDropTimer();
+    getNextPieces() {
+        return this.nextQueue.slice(0, this.previewCount);
     }
     
     /**
-     * Automatic drop (called by timer)
+     * Get lines needed for the first level-up (NES transition rule)
+     * Starting at NES level s, the first transition comes after
+     * min(s×10+10, max(100, s×10-50)) lines, then every 10 lines
+     */
+    getFirstLevelUpLines() {
+        const start = this.startLevel - 1; // NES levels are 0-indexed
+        return Math.min(start * 10 + 10, Math.max(100, start * 10 - 50));
+    }
+    
+    /**
+     * Get the level reached after clearing a number of lines
+     */
+    getLevelForLines(lines) {
+        const firstLevelUp = this.getFirstLevelUpLines();
+        if (lines < firstLevelUp) return this.startLevel;
+        return this.startLevel + 1 + Math.floor((lines - firstLevelUp) / 10);
+    }
+    
+    /**
+     * Get drop speed based on level (Classic NES Tetris curve)
+     * Gets progressively faster, with level 19+ being extremely fast
+     */
+    getDropSpeed() {
+        const level = this.level - 1; // Convert to 0-indexed for classic compatibility
+        
+        // Find the appropriate speed from the curve
+        if (level >= 29) return this.SPEED_CURVE[29];      // Kill screen speed!
+        if (level >= 19) return this.SPEED_CURVE[19];      // 33ms - very fast
+        if (level >= 16) return this.SPEED_CURVE[16];      // 50ms
+        if (level >= 13) return this.SPEED_CURVE[13];      // 67ms
+        if (level >= 10) return this.SPEED_CURVE[10];      // 83ms
+        
+        // Levels 0-9 have individual speeds
+        return this.SPEED_CURVE[level] || this.SPEED_CURVE[9];
+    }
+    
+    /**
+     * Automatic drop (called by gravity each tick)
      */
     drop() {
         if (!this.moveDown()) {
-            this.lockPiece();
+            // Resting on the stack: make sure the lock delay is running
+            this.updateLockState();
         }
     }
     
@@ -138,6 +533,7 @@ class Game {
         
         if (this.board.isValidPosition(this.currentPiece, -1, 0)) {
             this.currentPiece.x--;
+            this.lastActionWasRotation = false;
             this.resetLockDelay();
             return true;
         }
@@ -152,6 +548,7 @@ class Game {
         
         if (this.board.isValidPosition(this.currentPiece, 1, 0)) {
             this.currentPiece.x++;
+            this.lastActionWasRotation = false;
             this.resetLockDelay();
             return true;
         }
@@ -166,6 +563,15 @@ class Game {
         
         if (this.board.isValidPosition(this.currentPiece, 0, 1)) {
             this.currentPiece.y++;
+            this.lastActionWasRotation = false;
+            
+            // Reaching a new lowest row earns a fresh lock delay and set of lock resets
+            if (this.currentPiece.y > this.lowestRow) {
+                this.lowestRow = this.currentPiece.y;
+                this.lockResets = 0;
+                this.lockElapsed = 0;
+            }
+            this.updateLockState();
             return true;
         }
         return false;
@@ -189,7 +595,7 @@ class Game {
      * Awards 2 points per cell (modern addition to classic scoring)
      */
     hardDrop() {
-        if (this.state !== 'playing' || !this.currentPiece) return;
+        if (this.state !== 'playing' || !this.currentPiece) return false;
         
         let dropDistance = 0;
         while (this.board.isValidPosition(this.currentPiece, 0, 1)) {
@@ -197,10 +603,16 @@ class Game {
             dropDistance++;
         }
         
+        // Dropping any distance means the last action was no longer the rotation
+        if (dropDistance > 0) {
+            this.lastActionWasRotation = false;
+        }
+        
         this.score += dropDistance * this.BASE_POINTS.hardDrop;
         if (this.onScoreUpdate) this.onScoreUpdate(this.score);
         
         this.lockPiece();
+        return true;
     }
     
     /**
@@ -209,23 +621,31 @@ class Game {
     rotate(direction = 1) {
         if (this.state !== 'playing' || !this.currentPiece) return false;
         
-        // O piece doesn't rotate
-        if (this.currentPiece.type === 'O') return false;
+        // Pieces with a single rotation state (e.g. O) don't rotate
+        const rotations = this.currentPiece.rotations;
+        if (rotations.length < 2) return false;
         
         const originalRotation = this.currentPiece.rotationIndex;
-        const rotations = TETROMINOES[this.currentPiece.type].rotations;
         const newRotation = (originalRotation + direction + rotations.length) % rotations.length;
         
+        // A 180° turn of a two-state piece (e.g. NES I/S/Z) changes nothing
+        if (newRotation === originalRotation) return false;
+        
         // Get wall kicks for this rotation
-        const kicks = this.currentPiece.getWallKicks(originalRotation, newRotation);
+        const kicks = this.currentPiece.getWallKicks(originalRotation, newRotation, this.board);
         
         // Try each wall kick
-        for (const [kickX, kickY] of kicks) {
+        for (let i = 0; i < kicks.length; i++) {
+            const [kickX, kickY] = kicks[i];
             if (this.board.isValidRotation(this.currentPiece, newRotation, kickX, kickY)) {
                 this.currentPiece.rotationIndex = newRotation;
                 this.currentPiece.shape = deepClone(rotations[newRotation]);
                 this.currentPiece.x += kickX;
                 this.currentPiece.y += kickY;
+                this.lastActionWasRotation = true;
+                this.lastKickIndex = i;
+                this.lastRotationDirection = direction;
+                this.lastRotationSystem = this.rotationSystemId;
                 this.resetLockDelay();
                 return true;
             }
@@ -234,15 +654,203 @@ class Game {
         return false;
     }
     
+    /**
+     * Hold the current piece (swap with held piece, once per drop)
+     */
+    hold() {
+        if (!this.swapHold()) return false;
+        
+        // Swapped-in piece may not fit if the stack is near the top
+        if (!this.board.isValidPosition(this.currentPiece)) {
+            this.gameOver('blockout');
+        }
+        return true;
+    }
+    
+    /**
+     * Swap the current piece with the hold slot (no top-out check)
+     */
+    swapHold() {
+        if (this.state !== 'playing' || !this.currentPiece || !this.canHold) return false;
+        
+        const heldType = this.holdPiece ? this.holdPiece.type : null;
+        if (!heldType && this.nextQueue.length === 0) return false;
+        
+        // Store a fresh copy so the preview shows the spawn orientation
+        this.holdPiece = this.createPiece(this.currentPiece.type);
+        
+        if (heldType) {
+            // Swap: held piece respawns at its spawn position
+            this.currentPiece = this.createPiece(heldType);
+        } else {
+            // First hold: take the next piece from the queue
+            this.spawnNextPiece();
+        }
+        
+        this.canHold = false;
+        this.resetPieceLockState();
+        return true;
+    }
+    
+    /**
+     * IHS: hold straight away as the piece spawns
+     */
+    initialHold() {
+        return this.swapHold();
+    }
+    
+    /**
+     * IRS: spawn pre-rotated (kicks may move a piece that would overlap the stack)
+     */
+    initialRotate(direction) {
+        return this.rotate(direction);
+    }
+    
+    /**
+     * Apply the initial actions for a piece that just spawned: the inputs held
+     * right now, or during playback the ones recorded for this spawn
+     */
+    applyInitialActions() {
+        if (this.playback) {
+            const { replay } = this.playback;
+            while (this.playback.index < replay.actions.length) {
+                const { frame, action, arg } = replay.actions[this.playback.index];
+                if (frame > this.frame || !INITIAL_ACTIONS.includes(action)) break;
+                this.playback.index++;
+                this[action](arg);
+            }
+            return;
+        }
+        
+        const inputs = this.getSpawnInputs ? this.getSpawnInputs() : [];
+        inputs.forEach(([action, arg = null]) => {
+            if (this[action](arg) && this.recorder) {
+                this.recorder.record(this.frame, action, arg);
+            }
+        });
+    }
+    
+    /**
+     * Start (or restart) the lock delay
+     */
+    startLockDelay() {
+        this.isLocking = true;
+        this.lockElapsed = 0;
+    }
+    
+    /**
+     * Stop the lock delay without locking
+     */
+    cancelLockDelay() {
+        this.isLocking = false;
+        this.lockElapsed = 0;
+    }
+    
+    /**
+     * Run the lock delay while the piece rests on something and pause it while it doesn't
+     * The time already run is kept until the piece reaches a new lowest row, so lifting
+     * the piece off the stack can't restart the delay once the resets are used up
+     */
+    updateLockState() {
+        this.isLocking = this.isAtBottom();
+    }
+    
     /**
      * Reset lock delay (when piece moves while touching ground)
+     * Only maxLockResets resets are allowed until the piece reaches a new lowest row
      */
     resetLockDelay() {
-        if (this.isLocking && this.lockTimer) {
-            clearTimeout(this.lockTimer);
-            this.lockTimer = null;
-            this.isLocking = false;
+        if (this.isLocking && this.isAtBottom() && this.lockResets < this.maxLockResets) {
+            this.lockResets++;
+            this.startLockDelay();
+            return;
         }
+        this.updateLockState();
+    }
+    
+    /**
+     * Clear lock and gravity state for a newly spawned piece
+     */
+    resetPieceLockState() {
+        this.cancelLockDelay();
+        this.gravityAccumulator = 0;
+        this.lastActionWasRotation = false;
+        this.lastKickIndex = -1;
+        this.lastRotationDirection = 0;
+        this.lastRotationSystem = null;
+        this.lockResets = 0;
+        this.lowestRow = this.currentPiece ? this.currentPiece.y : 0;
+    }
+    
+    /**
+     * Get how far the lock delay has run (0 = just landed, 1 = locking now)
+     */
+    getLockProgress() {
+        if (!this.isLocking) return 0;
+        return clamp(this.lockElapsed / this.lockDelay, 0, 1);
+    }
+    
+    /**
+     * Classify a T-spin using the 3-corner rule (call before placing the piece)
+     * Returns 'full', 'mini' or null
+     */
+    getTSpinType() {
+        const piece = this.currentPiece;
+        if (!piece || !piece.definition.tSpin || !this.lastActionWasRotation) return null;
+        
+        // The T's center is the block with three neighbours; it points toward
+        // the middle one (states differ between rotation systems)
+        const shape = piece.shape;
+        const isBlock = (col, row) => !!(shape[row] && shape[row][col]);
+        const sides = [[0, -1], [1, 0], [0, 1], [-1, 0]]; // up, right, down, left
+        let centerX = 1, centerY = 1, facing = 0;
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (!isBlock(col, row)) continue;
+                const open = sides.filter(([dx, dy]) => !isBlock(col + dx, row + dy));
+                if (open.length === 1) {
+                    centerX = col;
+                    centerY = row;
+                    facing = (sides.indexOf(open[0]) + 2) % 4;
+                }
+            }
+        }
+        
+        // Corners around the center, clockwise from top-left
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+            .map(([dx, dy]) => this.board.isCellOccupied(piece.x + centerX + dx, piece.y + centerY + dy));
+        
+        const filled = corners.filter(Boolean).length;
+        if (filled < 3) return null;
+        
+        // The two corners on the side the T points to
+        const front = [
+            [0, 1], // pointing up
+            [1, 2], // pointing right
+            [2, 3], // pointing down
+            [3, 0]  // pointing left
+        ][facing];
+        
+        if (corners[front[0]] && corners[front[1]]) return 'full';
+        
+        // The fifth kick of an SRS quarter turn (the "TST" kick) upgrades a mini to a full T-spin;
+        // 180° tables and other systems number their kicks differently
+        const isTstKick = this.lastRotationSystem === 'srs' && Math.abs(this.lastRotationDirection) === 1 &&
+            piece.definition.kicks === 'JLSTZ' && this.lastKickIndex === 4;
+        if (isTstKick) return 'full';
+        
+        return 'mini';
+    }
+    
+    /**
+     * Get the announcement name for a clear, e.g. "T-SPIN MINI DOUBLE"
+     */
+    getClearName(linesCleared, tSpin) {
+        const lineName = this.CLEAR_NAMES[linesCleared] || '';
+        if (!tSpin) return lineName;
+        
+        const spinName = tSpin === 'mini' ? 'T-SPIN MINI' : 'T-SPIN';
+        return lineName ? `${spinName} ${lineName}` : spinName;
     }
     
     /**
@@ -251,69 +859,288 @@ class Game {
     lockPiece() {
         if (!this.currentPiece) return;
         
+        if (this.spawnSnapshot) {
+            this.undoStack.push(this.spawnSnapshot);
+            if (this.undoStack.length > this.MAX_UNDO) this.undoStack.shift();
+            this.redoStack = [];
+        }
+        
+        // T-spins are judged against the board before the piece is placed
+        const tSpin = this.getTSpinType();
+        const lockedOut = this.board.isAboveField(this.currentPiece);
+        
         // Place the piece on the board
-        this.board.placeTetromino(this.currentPiece);
+        this.cancelLockDelay();
+        this.board.placeTetromino(this.currentPiece, this.getElapsedMs());
+        this.piecesPlaced++;
         if (this.onPiecePlace) this.onPiecePlace();
         
         // Clear lines and calculate score using Classic NES Tetris formula:
         // points = base_points × (level + 1)
         const linesCleared = this.board.clearLines();
+        const perfectClear = linesCleared > 0 && this.board.isEmpty();
+        
+        // Combo: any lock that clears lines extends it, any other lock breaks it
+        this.combo = linesCleared > 0 ? this.combo + 1 : -1;
+        
+        // Back-to-back: Tetrises and T-spin line clears chain, other line clears break it
+        // (zero-line T-spins leave the chain alone)
+        const isDifficult = linesCleared === 4 || (tSpin !== null && linesCleared > 0);
+        const backToBack = isDifficult && this.backToBack;
         if (linesCleared > 0) {
+            this.backToBack = isDifficult;
+            this.backToBackCount = backToBack ? this.backToBackCount + 1 : 0;
+        }
+        
+        if (linesCleared > 0 || tSpin) {
             // Classic formula: base × (level + 1)
             // Single: 40 × (level+1), Double: 100 × (level+1)
             // Triple: 300 × (level+1), Tetris: 1200 × (level+1)
-            const basePoints = this.BASE_POINTS[linesCleared];
-            const points = basePoints * (this.level);
+            // T-spins use the guideline table instead (a mini triple is impossible)
+            const basePoints = tSpin
+                ? this.TSPIN_POINTS[tSpin][linesCleared] || this.TSPIN_POINTS.full[linesCleared]
+                : this.BASE_POINTS[linesCleared];
+            let points = basePoints * (this.level);
+            if (backToBack) {
+                points = Math.floor(points * this.BACK_TO_BACK_MULTIPLIER);
+            }
+            if (this.combo > 0) {
+                points += this.COMBO_POINTS * this.combo * this.level;
+            }
+            if (perfectClear) {
+                points += this.PERFECT_CLEAR_POINTS[linesCleared] * this.level;
+            }
             this.score += points;
             this.lines += linesCleared;
             
-            if (this.onLineClear) this.onLineClear(linesCleared, points);
+            const clear = {
+                lines: linesCleared,
+                tSpin,
+                name: this.getClearName(linesCleared, tSpin),
+                combo: this.combo,
+                backToBack,
+                perfectClear
+            };
+            
+            if (this.onLineClear) this.onLineClear(linesCleared, points, clear);
             if (this.onScoreUpdate) this.onScoreUpdate(this.score);
             
-            // Level up every 10 lines (classic NES behavior)
-            const newLevel = Math.floor(this.lines / 10) + 1;
-            if (newLevel > this.level) {
+            // Level up on the NES schedule (every 10 lines when starting at level 1)
+            const newLevel = this.getLevelForLines(this.lines);
+            if (GAME_MODES[this.mode].levelUp && newLevel > this.level) {
                 this.level = newLevel;
-                this.updateDropSpeed();
                 if (this.onLevelUp) this.onLevelUp(this.level);
             }
         }
         
-        // Spawn next piece
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = new Tetromino(this.bagRandomizer.next());
-        this.isLocking = false;
+        if (this.onComboChange) this.onComboChange(this.combo, this.backToBack);
         
-        // Check game over
+        // Lock-out: the whole piece came to rest in the hidden buffer
+        if (lockedOut) {
+            this.gameOver('lockout');
+            return;
+        }
+        
+        if (this.mode === 'puzzle') {
+            if (isPuzzleGoalMet(this.puzzleGoal, this, { lines: linesCleared, tSpin, perfectClear })) {
+                this.gameOver('solved');
+                return;
+            }
+            if (this.nextQueue.length === 0 && !this.holdPiece) {
+                this.gameOver('failed');
+                return;
+            }
+        }
+        
+        if (this.mode === 'sprint') {
+            this.updateSplits();
+            if (this.lines >= this.lineGoal) {
+                this.gameOver('complete');
+                return;
+            }
+        }
+        
+        if (this.mode === 'dig') {
+            if (this.getDigRemaining() === 0) {
+                this.gameOver('complete');
+                return;
+            }
+            if (this.pendingGarbage > 0) {
+                const toppedOut = this.board.addGarbage(this.pendingGarbage, null, this.garbageRandom,
+                    'garbage', this.getElapsedMs());
+                this.pendingGarbage = 0;
+                if (toppedOut) {
+                    this.gameOver('topout');
+                    return;
+                }
+            }
+        }
+        
+        // Spawn next piece (pre-rotated or held if those keys are down)
+        this.spawnNextPiece();
+        this.canHold = true;
+        this.applyInitialActions();
+        if (this.mode === 'practice') {
+            this.spawnSnapshot = this.createSnapshot();
+        }
+        
+        // Block-out: the new piece overlaps the stack where it spawns
         if (!this.board.isValidPosition(this.currentPiece)) {
-            this.gameOver();
+            this.gameOver('blockout');
+        }
+    }
+    
+    /**
+     * Starting dig garbage rows still on the board
+     */
+    getDigRemaining() {
+        return this.board.countTaggedRows('dig');
+    }
+    
+    /**
+     * Record a split for each SPLIT_LINES boundary passed (up to the goal)
+     */
+    updateSplits() {
+        const reached = Math.floor(Math.min(this.lines, this.lineGoal) / this.SPLIT_LINES);
+        while (this.splits.length < reached) {
+            this.splits.push(this.getElapsedMs());
+            if (this.onSplit) {
+                this.onSplit(this.splits.length * this.SPLIT_LINES, this.getElapsedMs());
+            }
         }
     }
     
     /**
      * End the game
+     * reason: 'blockout' (a piece spawned overlapping the stack), 'lockout' (a piece locked
+     * entirely above the visible field), 'topout' (garbage pushed blocks out of the buffer),
+     * 'complete' (sprint or dig goal cleared), 'timeup' (ultra time limit reached),
+     * 'solved' (puzzle goal reached) or 'failed' (puzzle pieces ran out first)
      */
-    gameOver() {
+    gameOver(reason = 'blockout') {
         this.state = 'gameover';
-        this.stopDropTimer();
-        if (this.lockTimer) {
-            clearTimeout(this.lockTimer);
-            this.lockTimer = null;
+        this.endReason = reason;
+        this.cancelLockDelay();
+        
+        if (this.recorder) {
+            this.recorder.finish(this.getResult());
         }
-        if (this.onGameOver) this.onGameOver(this.score, this.level, this.lines);
+        if (this.onGameOver) this.onGameOver(this.score, this.level, this.lines, reason);
+    }
+    
+    /**
+     * Summary of the final state, stored with a replay to verify playback
+     */
+    getResult() {
+        return {
+            score: this.score,
+            lines: this.lines,
+            level: this.level,
+            frames: this.frame,
+            time: this.getElapsedMs(),
+            boardHash: hashSeed(JSON.stringify(this.board.getStackRows().map(row => row.map(cell => cell && cell.color))))
+        };
+    }
+    
+    /**
+     * Check whether a finished playback reproduced the recorded game
+     */
+    isPlaybackVerified() {
+        if (!this.playback || !this.playback.replay.result) return false;
+        const expected = this.playback.replay.result;
+        const actual = this.getResult();
+        return actual.score === expected.score && actual.boardHash === expected.boardHash;
+    }
+    
+    /**
+     * Capture the state as a piece spawns: board, pieces, randomizer and scoring
+     * (the current piece comes back at its spawn position)
+     */
+    createSnapshot() {
+        return {
+            rows: this.board.rows.map(row => [...row]),
+            rowTags: [...this.board.rowTags],
+            currentType: this.currentPiece.type,
+            holdType: this.holdPiece ? this.holdPiece.type : null,
+            canHold: this.canHold,
+            queue: this.nextQueue.map(piece => piece.type),
+            randomizer: this.randomizer.getState(),
+            score: this.score,
+            lines: this.lines,
+            level: this.level,
+            combo: this.combo,
+            backToBack: this.backToBack,
+            backToBackCount: this.backToBackCount,
+            piecesPlaced: this.piecesPlaced
+        };
+    }
+    
+    /**
+     * Put the game back in a snapshotted state
+     */
+    restoreSnapshot(snapshot) {
+        this.board.rows = snapshot.rows.map(row => [...row]);
+        this.board.rowTags = [...snapshot.rowTags];
+        this.currentPiece = this.createPiece(snapshot.currentType);
+        this.holdPiece = snapshot.holdType ? this.createPiece(snapshot.holdType) : null;
+        this.canHold = snapshot.canHold;
+        this.nextQueue = snapshot.queue.map(type => this.createPiece(type));
+        this.randomizer.setState(snapshot.randomizer);
+        this.score = snapshot.score;
+        this.lines = snapshot.lines;
+        this.level = snapshot.level;
+        this.combo = snapshot.combo;
+        this.backToBack = snapshot.backToBack;
+        this.backToBackCount = snapshot.backToBackCount;
+        this.piecesPlaced = snapshot.piecesPlaced;
+        this.spawnSnapshot = snapshot;
+        this.resetPieceLockState();
+        if (this.onHistoryChange) this.onHistoryChange();
+    }
+    
+    /**
+     * Practice: take back the last placement
+     */
+    undo() {
+        if (this.mode !== 'practice' || this.state !== 'playing' || this.undoStack.length === 0) return false;
+        
+        this.redoStack.push(this.spawnSnapshot);
+        this.undoCount++;
+        this.restoreSnapshot(this.undoStack.pop());
+        return true;
+    }
+    
+    /**
+     * Practice: replay a placement that was taken back
+     */
+    redo() {
+        if (this.mode !== 'practice' || this.state !== 'playing' || this.redoStack.length === 0) return false;
+        
+        this.undoStack.push(this.spawnSnapshot);
+        this.restoreSnapshot(this.redoStack.pop());
+        return true;
+    }
+    
+    /**
+     * Leave the current game without a game over (nothing is reported or saved)
+     */
+    quit() {
+        this.state = 'menu';
+        this.accumulator = 0;
     }
     
     /**
      * Toggle pause
      */
     pause() {
+        // Gravity and lock delay only advance in tick(), so they freeze with it;
+        // dropping the accumulator keeps the resume from replaying paused time
         if (this.state === 'playing') {
             this.state = 'paused';
-            this.stopDropTimer();
         } else if (this.state === 'paused') {
             this.state = 'playing';
-            this.startDropTimer();
         }
+        this.accumulator = 0;
     }
     
     /**
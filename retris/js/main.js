@@ -7,6 +7,16 @@ class App {
         this.renderer = null;
         this.controls = null;
         this.animationId = null;
+        this.lastFrameTime = null; // rAF timestamp of the previous frame
+        this.leaderboard = 'marathon'; // High score tab: marathon, sprint-<lines>, ultra or dig
+        this.settings = this.storage.getSettings();
+        this.startOverrides = {}; // Start options the last game used instead of settings
+        this.puzzlePacks = [...PUZZLE_PACKS]; // Built-in packs, then any imported this session
+        this.puzzlePackIndex = 0; // Pack shown on the puzzle screen
+        this.currentPuzzle = null; // { pack, index } of the puzzle being played
+        this.autoplayer = null; // Plays the current game when watching the AI
+        this.attract = false; // The current game is the idle-menu demo
+        this.idleTimer = null;
         
         // DOM elements cache
         this.elements = {};
@@ -20,14 +30,22 @@ class App {
     init() {
         this.cacheElements();
         this.setupRenderer();
+        this.setupEditor();
         this.setupControls();
         this.setupGameCallbacks();
         this.setupMenuListeners();
+        this.setupSettings();
         this.setupResponsive();
+        this.setupVisibility();
+        this.setupAttract();
         this.preventZoom();
         
         // Check if instructions should be shown on first visit
         this.checkFirstVisit();
+        
+        // Shared board links open in the editor
+        this.openBoardFromHash();
+        window.addEventListener('hashchange', () => this.openBoardFromHash());
     }
     
     /**
@@ -122,30 +140,99 @@ class App {
             // Canvases
             gameCanvas: document.getElementById('game-canvas'),
             nextCanvas: document.getElementById('next-canvas'),
+            holdCanvas: document.getElementById('hold-canvas'),
+            editorCanvas: document.getElementById('editor-canvas'),
+            editorQueueCanvas: document.getElementById('editor-queue-canvas'),
+            editorHoldCanvas: document.getElementById('editor-hold-canvas'),
             
             // Displays
             levelDisplay: document.getElementById('level-display'),
             scoreDisplay: document.getElementById('score-display'),
+            comboDisplay: document.getElementById('combo-display'),
+            b2bDisplay: document.getElementById('b2b-display'),
+            timerDisplay: document.getElementById('timer-display'),
+            timerLabel: document.getElementById('timer-label'),
+            linesDisplay: document.getElementById('lines-display'),
+            linesLabel: document.getElementById('lines-label'),
+            undoRow: document.getElementById('undo-row'),
+            undoDisplay: document.getElementById('undo-display'),
+            redoDisplay: document.getElementById('redo-display'),
+            puzzleGoalRow: document.getElementById('puzzle-goal-row'),
+            puzzleGoalDisplay: document.getElementById('puzzle-goal-display'),
             finalScoreDisplay: document.getElementById('final-score'),
+            finalSeedDisplay: document.getElementById('final-seed'),
+            finalRandomizerDisplay: document.getElementById('final-randomizer'),
+            finalSeedRow: document.getElementById('final-seed-row'),
+            nextPuzzleBtn: document.getElementById('next-puzzle-btn'),
+            gameOverTitle: document.getElementById('gameover-title'),
+            gameOverReason: document.getElementById('gameover-reason'),
+            replayResult: document.getElementById('replay-result'),
+            replayStatus: document.getElementById('replay-status'),
+            puzzlePackTabs: document.getElementById('puzzle-pack-tabs'),
+            puzzleProgress: document.getElementById('puzzle-progress'),
+            puzzleList: document.getElementById('puzzle-list'),
+            puzzleStatus: document.getElementById('puzzle-status'),
+            puzzleFileInput: document.getElementById('puzzle-file'),
+            resultsTitle: document.getElementById('results-title'),
+            resultsSummary: document.getElementById('results-summary'),
+            resultsSplits: document.getElementById('results-splits'),
+            resultsStatus: document.getElementById('results-status'),
             
             // Screens
             screens: {
                 menu: document.getElementById('screen-menu'),
                 game: document.getElementById('screen-game'),
                 gameover: document.getElementById('screen-gameover'),
+                results: document.getElementById('screen-results'),
                 highscores: document.getElementById('screen-highscores'),
+                settings: document.getElementById('screen-settings'),
+                seed: document.getElementById('screen-seed'),
+                fumen: document.getElementById('screen-fumen'),
+                puzzles: document.getElementById('screen-puzzles'),
+                editor: document.getElementById('screen-editor'),
                 about: document.getElementById('screen-about')
             },
             
             // Overlays
             pauseOverlay: document.getElementById('pause-overlay'),
+            aiBanner: document.getElementById('ai-banner'),
+            aiBannerLabel: document.getElementById('ai-banner-label'),
+            aiSpeedControls: document.getElementById('ai-speed-controls'),
+            aiSpeedDisplay: document.getElementById('ai-speed-display'),
+            fumenExport: document.getElementById('fumen-export'),
+            fumenExportStatus: document.getElementById('fumen-export-status'),
             
             // Forms
             scoreForm: document.getElementById('score-form'),
             playerNameInput: document.getElementById('player-name'),
+            resultsForm: document.getElementById('results-form'),
+            resultsNameInput: document.getElementById('results-name'),
+            settingsForm: document.getElementById('settings-form'),
+            newGameForm: document.getElementById('new-game-form'),
+            seedForm: document.getElementById('seed-form'),
+            seedInput: document.getElementById('seed-input'),
+            replayFileInput: document.getElementById('replay-file'),
+            fumenForm: document.getElementById('fumen-form'),
+            fumenInput: document.getElementById('fumen-input'),
+            fumenPageInput: document.getElementById('fumen-page'),
+            fumenStatus: document.getElementById('fumen-status'),
+            editorWidth: document.getElementById('editor-width'),
+            editorHeight: document.getElementById('editor-height'),
+            editorQueue: document.getElementById('editor-queue'),
+            editorHold: document.getElementById('editor-hold'),
+            settingInputs: document.querySelectorAll('[data-setting]'),
+            modeOptions: document.querySelectorAll('[data-mode-option]'),
+            leaderboardTabs: document.querySelectorAll('[data-leaderboard]'),
+            ultraTab: document.getElementById('ultra-tab'),
+            digTab: document.getElementById('dig-tab'),
             
             // Containers
             scoresList: document.getElementById('scores-list'),
+            editorPalette: document.getElementById('editor-palette'),
+            editorLinkOutput: document.getElementById('editor-link-output'),
+            editorStatus: document.getElementById('editor-status'),
+            menuItems: document.getElementById('menu-items'),
+            newGameSetup: document.getElementById('new-game-setup'),
             
             // Buttons
             menuBtn: document.getElementById('menu-btn'),
@@ -161,8 +248,61 @@ class App {
     setupRenderer() {
         this.renderer = new Renderer(
             this.elements.gameCanvas,
-            this.elements.nextCanvas
+            this.elements.nextCanvas,
+            null,
+            this.elements.holdCanvas
+        );
+    }
+    
+    /**
+     * Setup the board editor, its brushes and its size, queue and hold fields
+     */
+    setupEditor() {
+        if (!this.elements.editorCanvas) return;
+        this.editor = new Editor(
+            this.elements.editorCanvas,
+            this.elements.editorQueueCanvas,
+            this.elements.editorHoldCanvas
         );
+        
+        // One brush per piece color, garbage, then the eraser
+        const palette = this.elements.editorPalette;
+        if (palette) {
+            palette.innerHTML = [...Object.keys(TETROMINOES), 'X'].map(char => `
+                <button class="editor-swatch" data-editor-brush="${char}" title="${char}" style="background-color: ${getPuzzleCellColor(char)}"></button>
+            `).join('') + '<button class="editor-swatch" data-editor-brush="." title="Erase">✕</button>';
+            palette.addEventListener('click', (e) => {
+                const swatch = e.target.closest('[data-editor-brush]');
+                if (!swatch) return;
+                e.preventDefault();
+                this.editor.brush = swatch.dataset.editorBrush;
+                this.renderEditor();
+            });
+        }
+        
+        const resize = () => {
+            this.editor.resize(
+                parseInt(this.elements.editorWidth.value, 10),
+                parseInt(this.elements.editorHeight.value, 10)
+            );
+            this.renderEditor();
+        };
+        if (this.elements.editorWidth) this.elements.editorWidth.addEventListener('change', resize);
+        if (this.elements.editorHeight) this.elements.editorHeight.addEventListener('change', resize);
+        
+        // The queue field keeps what was typed; the previews show what it parses to
+        if (this.elements.editorQueue) {
+            this.elements.editorQueue.addEventListener('input', () => {
+                this.editor.setQueue(this.elements.editorQueue.value);
+                this.editor.render();
+            });
+        }
+        if (this.elements.editorHold) {
+            this.elements.editorHold.addEventListener('change', () => {
+                this.editor.setHold(this.elements.editorHold.value);
+                this.editor.render();
+            });
+        }
     }
     
     /**
@@ -191,12 +331,48 @@ class App {
             }
         };
         
-        this.game.onLineClear = (lines, points) => {
-            // Could add visual feedback here
+        this.game.onLineClear = (lines, points, clear) => {
+            // Call out the big clears (Tetrises and any T-spin)
+            const name = clear.backToBack ? `B2B ${clear.name}` : clear.name;
+            if (clear.tSpin) {
+                this.renderer.announce(name, '#b266ff');
+            } else if (lines === 4) {
+                this.renderer.announce(name, '#00d4d4');
+            }
+            if (clear.combo > 0) {
+                this.renderer.announce(`${clear.combo} COMBO`, '#d4a800');
+            }
+            if (clear.perfectClear) {
+                this.renderer.announce('PERFECT CLEAR', '#00cc44');
+                this.renderer.flash('#ffffff');
+            }
+        };
+        
+        this.game.onComboChange = () => {
+            this.updateDisplay();
         };
         
-        this.game.onGameOver = (score, level, lines) => {
-            this.handleGameOver(score, level, lines);
+        // Key repeat and the autoplayer advance inside the game tick
+        this.game.onTick = (dt) => {
+            this.controls.tick(dt);
+            if (this.autoplayer) this.autoplayer.tick(dt);
+        };
+        
+        // IRS / IHS read the keys held when a piece spawns
+        this.game.getSpawnInputs = () => this.controls.getSpawnInputs();
+        
+        // Practice undo / redo swapped the whole game state
+        this.game.onHistoryChange = () => {
+            this.updateDisplay();
+            this.renderer.render(this.game);
+        };
+        
+        this.game.onSplit = (lines, time) => {
+            this.renderer.announce(`${lines}L ${formatTime(time)}`, '#999999');
+        };
+        
+        this.game.onGameOver = (score, level, lines, reason) => {
+            this.handleGameOver(score, level, lines, reason);
         };
     }
     
@@ -258,6 +434,144 @@ class App {
             });
         }
         
+        // Sprint / dig time submission
+        if (this.elements.resultsForm) {
+            this.elements.resultsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleResultsSubmit();
+            });
+        }
+        
+        // Leaderboard tabs
+        this.elements.leaderboardTabs.forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.leaderboard = tab.dataset.leaderboard;
+                this.renderHighScores();
+            });
+        });
+        
+        // Seed form submission
+        if (this.elements.seedForm) {
+            this.elements.seedForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSeedSubmit();
+            });
+        }
+        
+        // Fumen import
+        if (this.elements.fumenForm) {
+            this.elements.fumenForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleFumenSubmit();
+            });
+        }
+        
+        // Replay import
+        if (this.elements.replayFileInput) {
+            this.elements.replayFileInput.addEventListener('change', () => {
+                const file = this.elements.replayFileInput.files[0];
+                this.elements.replayFileInput.value = '';
+                if (file) this.importReplay(file);
+            });
+        }
+        
+        // Watch buttons are rendered with the scores, so listen on the list
+        if (this.elements.scoresList) {
+            this.elements.scoresList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-replay-id]');
+                if (!button) return;
+                e.preventDefault();
+                this.watchReplay(this.storage.getReplay(button.dataset.replayId));
+            });
+        }
+        
+        // Puzzle and pack buttons are rendered with the puzzle list
+        if (this.elements.puzzleList) {
+            this.elements.puzzleList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-puzzle-index]');
+                if (!button) return;
+                e.preventDefault();
+                this.startPuzzle(this.puzzlePacks[this.puzzlePackIndex], parseInt(button.dataset.puzzleIndex, 10));
+            });
+        }
+        if (this.elements.puzzlePackTabs) {
+            this.elements.puzzlePackTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-puzzle-pack]');
+                if (!tab) return;
+                e.preventDefault();
+                this.puzzlePackIndex = parseInt(tab.dataset.puzzlePack, 10);
+                this.renderPuzzles();
+            });
+        }
+        
+        // Puzzle pack import
+        if (this.elements.puzzleFileInput) {
+            this.elements.puzzleFileInput.addEventListener('change', () => {
+                const file = this.elements.puzzleFileInput.files[0];
+                this.elements.puzzleFileInput.value = '';
+                if (file) this.importPuzzlePack(file);
+            });
+        }
+    }
+    
+    /**
+     * Setup the settings form and apply saved settings
+     */
+    setupSettings() {
+        [this.elements.settingsForm, this.elements.newGameForm].forEach(form => {
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                });
+            }
+        });
+        
+        this.elements.settingInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                // Numeric options are stored as numbers, ids as strings
+                const value = input.value;
+                this.settings[input.dataset.setting] = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+                this.storage.saveSettings(this.settings);
+                this.applySettings();
+                this.renderModeOptions();
+            });
+        });
+        
+        this.applySettings();
+    }
+    
+    /**
+     * Push current settings into the game
+     */
+    applySettings() {
+        this.game.setPreviewCount(this.settings.previewCount);
+        this.controls.allow180 = this.settings.rotate180 === 'on';
+        this.controls.initialActions = this.settings.initialActions === 'on';
+        if (this.autoplayer && !this.attract) {
+            this.autoplayer.setSpeed(this.settings.aiSpeed);
+            this.updateAIBanner();
+        }
+    }
+    
+    /**
+     * Sync the settings form with current settings
+     */
+    renderSettings() {
+        this.elements.settingInputs.forEach(input => {
+            input.value = String(this.settings[input.dataset.setting]);
+        });
+        this.renderModeOptions();
+    }
+    
+    /**
+     * Only show the new-game options that belong to the selected mode
+     */
+    renderModeOptions() {
+        this.elements.modeOptions.forEach(option => {
+            const modes = option.dataset.modeOption.split(' ');
+            option.classList.toggle('hidden', !modes.includes(this.settings.mode));
+        });
     }
     
     /**
@@ -277,17 +591,122 @@ class App {
     handleAction(action) {
         switch (action) {
             case 'new-game':
+                this.renderSettings();
+                this.showNewGameSetup(true);
+                break;
+            case 'start-game':
                 this.startGame();
                 break;
+            case 'setup-back':
+                this.showNewGameSetup(false);
+                break;
             case 'high-scores':
+                this.showReplayStatus('');
                 this.showScreen('highscores');
                 this.renderHighScores();
                 break;
+            case 'play-seed':
+                if (this.elements.seedInput) {
+                    this.elements.seedInput.value = '';
+                }
+                this.renderSettings();
+                this.showScreen('seed');
+                break;
+            case 'puzzles':
+                this.showPuzzleStatus('');
+                this.showScreen('puzzles');
+                this.renderPuzzles();
+                break;
+            case 'import-puzzles':
+                if (this.elements.puzzleFileInput) {
+                    this.elements.puzzleFileInput.click();
+                }
+                break;
+            case 'next-puzzle':
+                if (this.currentPuzzle) {
+                    this.startPuzzle(this.currentPuzzle.pack, this.currentPuzzle.index + 1);
+                }
+                break;
+            case 'import-fumen':
+                if (this.elements.fumenInput) {
+                    this.elements.fumenInput.value = '';
+                }
+                this.showFumenStatus('');
+                this.showScreen('fumen');
+                break;
+            case 'export-fumen':
+                this.exportFumen();
+                break;
+            case 'editor':
+                this.openEditor();
+                break;
+            case 'edit-board':
+                this.editor.loadGame(this.game);
+                this.openEditor();
+                break;
+            case 'editor-shift-left':
+                this.editor.shift(-1, 0);
+                this.renderEditor();
+                break;
+            case 'editor-shift-right':
+                this.editor.shift(1, 0);
+                this.renderEditor();
+                break;
+            case 'editor-shift-up':
+                this.editor.shift(0, -1);
+                this.renderEditor();
+                break;
+            case 'editor-shift-down':
+                this.editor.shift(0, 1);
+                this.renderEditor();
+                break;
+            case 'editor-mirror':
+                this.editor.mirror();
+                this.renderEditor();
+                break;
+            case 'editor-clear':
+                this.editor.clearField();
+                this.renderEditor();
+                break;
+            case 'editor-play':
+                this.startGame(null, null, this.editor.getStartOptions());
+                break;
+            case 'editor-export':
+                this.exportBoard();
+                break;
+            case 'editor-link':
+                this.copyBoardLink();
+                break;
+            case 'settings':
+                this.showScreen('settings');
+                this.renderSettings();
+                break;
             case 'about':
                 this.showScreen('about');
                 break;
             case 'play-again':
-                this.startGame();
+                if (this.autoplayer) {
+                    this.watchAI();
+                } else {
+                    this.startGame(null, null, this.startOverrides);
+                }
+                break;
+            case 'watch-ai':
+                this.watchAI();
+                break;
+            case 'ai-slower':
+                this.changeAISpeed(-1);
+                break;
+            case 'ai-faster':
+                this.changeAISpeed(1);
+                break;
+            case 'export-replay':
+                this.exportReplay();
+                break;
+            case 'import-replay':
+                if (this.elements.replayFileInput) {
+                    this.elements.replayFileInput.click();
+                }
                 break;
             case 'main-menu':
                 this.showScreen('menu');
@@ -296,10 +715,55 @@ class App {
     }
     
     /**
-     * Start a new game
+     * Toggle the new-game setup panel on the menu screen
+     */
+    showNewGameSetup(show) {
+        if (this.elements.menuItems) {
+            this.elements.menuItems.classList.toggle('hidden', show);
+        }
+        if (this.elements.newGameSetup) {
+            this.elements.newGameSetup.classList.toggle('hidden', !show);
+        }
+    }
+    
+    /**
+     * Start a new game (optionally replaying a seed, or watching a replay)
+     * overrides replaces start options from settings (e.g. an imported field);
+     * play again keeps them
      */
-    startGame() {
-        this.game.start();
+    startGame(seed = null, replay = null, overrides = {}) {
+        this.stopGameLoop();
+        this.startOverrides = overrides;
+        this.autoplayer = null;
+        this.attract = false;
+        this.controls.setEnabled(true);
+        this.updateAIBanner();
+        if (replay || overrides.mode !== 'puzzle') {
+            this.currentPuzzle = null;
+        }
+        this.showNewGameSetup(false);
+        if (replay) {
+            this.game.startPlayback(replay);
+        } else {
+            this.game.start({
+                seed,
+                randomizer: this.settings.randomizer,
+                mode: this.settings.mode,
+                lineGoal: this.settings.sprintLines,
+                timeLimit: this.settings.ultraMinutes * 60 * 1000,
+                // Sprint and dig always run at level 1 gravity
+                startLevel: GAME_MODES[this.settings.mode].levelUp ? this.settings.startLevel : 1,
+                garbageRows: this.settings.digRows,
+                visibility: this.settings.visibility,
+                boardWidth: this.settings.boardWidth,
+                boardHeight: this.settings.boardHeight,
+                pieceSet: this.settings.pieceSet,
+                rotationSystem: this.settings.rotationSystem,
+                ...overrides
+            });
+        }
+        this.renderer.setBoardSize(this.game.board.width, this.game.board.height);
+        this.controls.updateCellSize();
         this.showScreen('game');
         this.updateDisplay();
         this.updatePauseOverlay();
@@ -311,7 +775,394 @@ class App {
                 this.controls.setupTouchControls();
             }, 100);
         }
-        this.gameLoop();
+        this.lastFrameTime = null;
+        this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    /**
+     * Start a game the autoplayer plays: with the new-game options,
+     * or as the idle-menu demo (a plain marathon, ended by any input)
+     */
+    watchAI(attract = false) {
+        this.startGame(null, null, attract ? {
+            mode: 'marathon',
+            startLevel: 1,
+            visibility: 'visible',
+            boardWidth: 10,
+            boardHeight: 20,
+            pieceSet: 'standard',
+            rotationSystem: 'srs'
+        } : {});
+        this.attract = attract;
+        this.autoplayer = new Autoplayer(this.game, {
+            speed: attract ? 'normal' : this.settings.aiSpeed,
+            allow180: this.settings.rotate180 === 'on'
+        });
+        this.controls.setEnabled(false);
+        this.updateAIBanner();
+    }
+    
+    /**
+     * Step the autoplayer speed through AI_SPEEDS and remember it
+     */
+    changeAISpeed(direction) {
+        const speeds = Object.keys(AI_SPEEDS);
+        const index = clamp(speeds.indexOf(this.settings.aiSpeed) + direction, 0, speeds.length - 1);
+        this.settings.aiSpeed = speeds[index];
+        this.storage.saveSettings(this.settings);
+        this.applySettings();
+    }
+    
+    /**
+     * Show who is playing over the board: the demo label, or the AI and its speed
+     */
+    updateAIBanner() {
+        if (!this.elements.aiBanner) return;
+        this.elements.aiBanner.classList.toggle('hidden', !this.autoplayer);
+        if (!this.autoplayer) return;
+        
+        this.elements.aiBannerLabel.textContent = this.attract ? 'Demo · press any key' : 'AI';
+        this.elements.aiSpeedControls.classList.toggle('hidden', this.attract);
+        this.elements.aiSpeedDisplay.textContent = AI_SPEEDS[this.autoplayer.speed].name;
+    }
+    
+    /**
+     * Attract mode: any input ends the demo, and a menu left idle starts one
+     */
+    setupAttract() {
+        const onInput = (e) => {
+            if (this.attract) {
+                // The input only ends the demo; it doesn't reach the game or the menu
+                e.preventDefault();
+                e.stopPropagation();
+                this.stopAttract();
+            }
+            this.resetIdleTimer();
+        };
+        ['keydown', 'mousedown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, onInput, { capture: true, passive: false });
+        });
+        window.addEventListener('mousemove', () => this.resetIdleTimer(), { passive: true });
+        this.resetIdleTimer();
+    }
+    
+    /**
+     * Restart the wait before the demo
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            // Only from the main menu list, and never over a paused game
+            const onMenu = this.elements.screens.menu.classList.contains('active') &&
+                !this.elements.menuItems.classList.contains('hidden');
+            if (onMenu && this.game.state !== 'playing' && this.game.state !== 'paused') {
+                this.watchAI(true);
+            } else {
+                this.resetIdleTimer();
+            }
+        }, ATTRACT_IDLE_MS);
+    }
+    
+    /**
+     * End the demo and go back to the menu
+     */
+    stopAttract() {
+        this.stopGameLoop();
+        this.game.quit();
+        this.autoplayer = null;
+        this.attract = false;
+        this.controls.setEnabled(true);
+        this.updateAIBanner();
+        this.showScreen('menu');
+        this.resetIdleTimer();
+    }
+    
+    /**
+     * Watch a replay from the start
+     */
+    watchReplay(replay) {
+        if (!replay) {
+            this.showReplayStatus('Replay not found');
+            return;
+        }
+        this.startGame(null, replay);
+    }
+    
+    /**
+     * Load a replay file (JSON or compact code) and watch it
+     */
+    importReplay(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.watchReplay(Replay.parse(reader.result));
+            } catch (e) {
+                console.warn('Could not import replay:', e);
+                this.showReplayStatus(`Could not import replay: ${e.message}`);
+            }
+        };
+        reader.onerror = () => {
+            this.showReplayStatus('Could not read replay file');
+        };
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Download the replay of the last game (or the one just watched) as JSON
+     */
+    exportReplay() {
+        const replay = this.game.recorder || (this.game.playback && this.game.playback.replay);
+        if (!replay) return;
+        
+        const blob = new Blob([JSON.stringify(replay.toJSON())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `retris-replay-${replay.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Play a puzzle from a pack
+     */
+    startPuzzle(pack, index) {
+        const puzzle = pack.puzzles[index];
+        if (!puzzle) return;
+        
+        this.currentPuzzle = { pack, index };
+        this.startGame(null, null, getPuzzleStartOptions(puzzle));
+    }
+    
+    /**
+     * Render the puzzle screen: pack tabs, progress and the selected pack's puzzles
+     */
+    renderPuzzles() {
+        const container = this.elements.puzzleList;
+        if (!container) return;
+        
+        const pack = this.puzzlePacks[this.puzzlePackIndex];
+        const progress = this.storage.getPuzzleProgress();
+        const isSolved = (puzzle) => Boolean(progress[`${pack.id}/${puzzle.id}`]);
+        
+        if (this.elements.puzzlePackTabs) {
+            this.elements.puzzlePackTabs.innerHTML = this.puzzlePacks.map((p, index) => `
+                <button class="tab${index === this.puzzlePackIndex ? ' active' : ''}" data-puzzle-pack="${index}">${sanitize(p.name || p.id)}</button>
+            `).join('');
+            this.elements.puzzlePackTabs.classList.toggle('hidden', this.puzzlePacks.length < 2);
+        }
+        if (this.elements.puzzleProgress) {
+            const solved = pack.puzzles.filter(isSolved).length;
+            this.elements.puzzleProgress.textContent = `${solved} / ${pack.puzzles.length} solved`;
+        }
+        
+        container.innerHTML = pack.puzzles.map((puzzle, index) => `
+            <div class="score-row">
+                <span class="score-rank">${isSolved(puzzle) ? '✓' : `${index + 1}.`}</span>
+                <span class="score-name">${sanitize(puzzle.name || puzzle.id)}</span>
+                <span class="score-value">${describePuzzleGoal(puzzle.goal)}</span>
+                <button class="score-replay" data-puzzle-index="${index}" title="Play puzzle">▶</button>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Load a puzzle pack file for this session (replacing a loaded pack with the same id)
+     */
+    importPuzzlePack(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const pack = parsePuzzlePack(reader.result);
+                const existing = this.puzzlePacks.findIndex(p => p.id === pack.id);
+                if (existing >= 0) {
+                    this.puzzlePacks[existing] = pack;
+                } else {
+                    this.puzzlePacks.push(pack);
+                }
+                this.puzzlePackIndex = this.puzzlePacks.indexOf(pack);
+                this.showPuzzleStatus('');
+                this.renderPuzzles();
+            } catch (e) {
+                console.warn('Could not import puzzle pack:', e);
+                this.showPuzzleStatus(`Could not import puzzle pack: ${e.message}`);
+            }
+        };
+        reader.onerror = () => {
+            this.showPuzzleStatus('Could not read puzzle pack file');
+        };
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Show a message under the puzzle list (empty hides it)
+     */
+    showPuzzleStatus(message) {
+        if (!this.elements.puzzleStatus) return;
+        this.elements.puzzleStatus.textContent = message;
+        this.elements.puzzleStatus.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Practice from a page of a pasted fumen: its field, then its piece first
+     */
+    handleFumenSubmit() {
+        let page;
+        try {
+            const pages = Fumen.decode(this.elements.fumenInput.value.trim());
+            const number = parseInt(this.elements.fumenPageInput.value, 10) || 1;
+            page = pages[clamp(number, 1, pages.length) - 1];
+        } catch (e) {
+            this.showFumenStatus(`Could not import fumen: ${e.message}`);
+            return;
+        }
+        
+        this.startGame(null, null, {
+            mode: 'practice',
+            pieceSet: 'standard',
+            boardWidth: FUMEN_WIDTH,
+            field: Fumen.toRows(page),
+            queue: page.piece ? [page.piece.type] : []
+        });
+    }
+    
+    /**
+     * Show a message on the fumen import screen (empty hides it)
+     */
+    showFumenStatus(message) {
+        if (!this.elements.fumenStatus) return;
+        this.elements.fumenStatus.textContent = message;
+        this.elements.fumenStatus.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Show the paused board (and falling piece) as a fumen link and copy it
+     */
+    exportFumen() {
+        const output = this.elements.fumenExport;
+        const status = this.elements.fumenExportStatus;
+        if (!output || !status) return;
+        
+        let url;
+        try {
+            url = Fumen.toUrl(Fumen.encode([Fumen.fromBoard(this.game.board, this.game.currentPiece)]));
+        } catch (e) {
+            status.textContent = e.message;
+            status.classList.remove('hidden');
+            return;
+        }
+        
+        output.value = url;
+        output.classList.remove('hidden');
+        output.select();
+        status.classList.add('hidden');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => {
+                status.textContent = 'Copied to clipboard';
+                status.classList.remove('hidden');
+            }).catch(() => {});
+        }
+    }
+    
+    /**
+     * Show the board editor
+     */
+    openEditor() {
+        this.showEditorStatus('');
+        if (this.elements.editorLinkOutput) {
+            this.elements.editorLinkOutput.classList.add('hidden');
+        }
+        this.showScreen('editor');
+        this.renderEditor();
+    }
+    
+    /**
+     * Open the board in the URL hash in the editor (if the hash holds one)
+     */
+    openBoardFromHash() {
+        if (!this.editor) return;
+        
+        let state;
+        try {
+            state = Editor.parseHash(window.location.hash);
+        } catch (e) {
+            this.openEditor();
+            this.showEditorStatus(`Could not load board: ${e.message}`);
+            return;
+        }
+        if (!state) return;
+        
+        this.editor.load(state);
+        this.openEditor();
+    }
+    
+    /**
+     * Draw the editor and bring its fields in line with the board (after a load, mirror, ...)
+     */
+    renderEditor() {
+        const editor = this.editor;
+        if (this.elements.editorPalette) {
+            this.elements.editorPalette.querySelectorAll('[data-editor-brush]').forEach(swatch => {
+                swatch.classList.toggle('active', swatch.dataset.editorBrush === editor.brush);
+            });
+        }
+        if (this.elements.editorWidth) this.elements.editorWidth.value = editor.width;
+        if (this.elements.editorHeight) this.elements.editorHeight.value = editor.height;
+        if (this.elements.editorQueue) this.elements.editorQueue.value = editor.queue.join('');
+        if (this.elements.editorHold) this.elements.editorHold.value = editor.hold || '';
+        editor.render();
+    }
+    
+    /**
+     * Download the editor's board as JSON
+     */
+    exportBoard() {
+        const blob = new Blob([JSON.stringify(this.editor.toJSON())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'retris-board.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Show a link that opens the editor's board and copy it
+     */
+    copyBoardLink() {
+        const output = this.elements.editorLinkOutput;
+        if (!output) return;
+        
+        const url = window.location.href.split('#')[0] + this.editor.toHash();
+        output.value = url;
+        output.classList.remove('hidden');
+        output.select();
+        this.showEditorStatus('');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => {
+                this.showEditorStatus('Copied to clipboard');
+            }).catch(() => {});
+        }
+    }
+    
+    /**
+     * Show a message under the editor buttons (empty hides it)
+     */
+    showEditorStatus(message) {
+        if (!this.elements.editorStatus) return;
+        this.elements.editorStatus.textContent = message;
+        this.elements.editorStatus.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Show a message under the high score list (empty hides it)
+     */
+    showReplayStatus(message) {
+        if (!this.elements.replayStatus) return;
+        this.elements.replayStatus.textContent = message;
+        this.elements.replayStatus.classList.toggle('hidden', !message);
     }
     
     /**
@@ -334,20 +1185,46 @@ class App {
     
     /**
      * Main game loop
+     * One requestAnimationFrame clock drives the fixed-step simulation and rendering
      */
-    gameLoop() {
+    gameLoop(time) {
+        if (this.game.state === 'gameover') {
+            return;
+        }
+        
+        // Advance the simulation by the real time since the last frame
+        const dt = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        this.game.update(dt);
+        
         if (this.game.state === 'gameover') {
             return;
         }
         
         // Render the game
         this.renderer.render(this.game);
+        this.updateTimer();
         
         // Update pause overlay if needed
         this.updatePauseOverlay();
         
         // Continue loop
-        this.animationId = requestAnimationFrame(() => this.gameLoop());
+        this.animationId = requestAnimationFrame((nextTime) => this.gameLoop(nextTime));
+    }
+    
+    /**
+     * Pause when the tab is hidden and restart frame timing when it returns,
+     * so the hidden time is never simulated
+     */
+    setupVisibility() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.game.state === 'playing') {
+                this.game.pause();
+                this.controls.clearAllRepeats();
+                this.updatePauseOverlay();
+            }
+            this.lastFrameTime = null;
+        });
     }
     
     /**
@@ -362,17 +1239,73 @@ class App {
     
     /**
      * Handle game over
+     * reason: 'blockout', 'lockout', 'topout', 'timeup' or 'complete'
+     * (a finished sprint or dig gets its own results screen)
      */
-    handleGameOver(score, level, lines) {
+    handleGameOver(score, level, lines, reason = 'blockout') {
         this.stopGameLoop();
         
-        // Final render
+        // The demo just goes back to the menu (and waits to start again)
+        if (this.attract) {
+            setTimeout(() => {
+                if (this.attract) this.stopAttract();
+            }, 2000);
+            return;
+        }
+        
+        // Final render (revealing a hidden stack first)
         this.renderer.render(this.game);
+        this.updateTimer();
+        const screenDelay = 500 + this.revealBoard();
+        
+        if (reason === 'complete') {
+            this.showRaceResults(screenDelay);
+            return;
+        }
         
         // Update final score display
         if (this.elements.finalScoreDisplay) {
             this.elements.finalScoreDisplay.textContent = formatNumber(score);
         }
+        if (this.elements.finalSeedDisplay) {
+            this.elements.finalSeedDisplay.textContent = this.game.seed;
+        }
+        if (this.elements.finalRandomizerDisplay) {
+            this.elements.finalRandomizerDisplay.textContent = RANDOMIZERS[this.game.randomizerType].name;
+        }
+        
+        // A finished replay can't be saved again, nor can an AI game or an unranked ruleset,
+        // and sprint and dig rank by time, not score
+        const isPlayback = this.game.playback !== null;
+        const isAI = this.autoplayer !== null;
+        const isRanked = this.game.isRanked();
+        const ranksByScore = this.game.mode === 'marathon' || this.game.mode === 'ultra';
+        if (this.elements.gameOverTitle) {
+            const titles = { timeup: 'TIME UP', solved: 'SOLVED' };
+            this.elements.gameOverTitle.textContent = isPlayback ? 'REPLAY END' : titles[reason] || 'GAME OVER';
+        }
+        if (this.elements.gameOverReason) {
+            const text = this.getEndReasonText(reason);
+            this.elements.gameOverReason.textContent = text;
+            this.elements.gameOverReason.classList.toggle('hidden', !text);
+        }
+        if (this.elements.scoreForm) {
+            this.elements.scoreForm.classList.toggle('hidden', isPlayback || isAI || !isRanked || !ranksByScore);
+        }
+        
+        // Puzzles: remember the solve and offer the next one (the seed means nothing here)
+        const puzzle = this.currentPuzzle;
+        if (puzzle && reason === 'solved' && !isPlayback) {
+            this.storage.markPuzzleSolved(puzzle.pack.id, puzzle.pack.puzzles[puzzle.index].id);
+        }
+        if (this.elements.nextPuzzleBtn) {
+            const hasNext = puzzle && reason === 'solved' && puzzle.index + 1 < puzzle.pack.puzzles.length;
+            this.elements.nextPuzzleBtn.classList.toggle('hidden', !hasNext || isPlayback);
+        }
+        if (this.elements.finalSeedRow) {
+            this.elements.finalSeedRow.classList.toggle('hidden', this.game.mode === 'puzzle');
+        }
+        this.showPlaybackResult(this.elements.replayResult);
         
         // Clear the name input
         if (this.elements.playerNameInput) {
@@ -382,7 +1315,130 @@ class App {
         // Show game over screen
         setTimeout(() => {
             this.showScreen('gameover');
-        }, 500);
+        }, screenDelay);
+    }
+    
+    /**
+     * Describe how a game was lost (empty for endings that aren't a top-out)
+     */
+    getEndReasonText(reason) {
+        switch (reason) {
+            case 'blockout':
+                return 'BLOCK OUT · no room for the next piece';
+            case 'lockout':
+                return 'LOCK OUT · piece locked above the field';
+            case 'topout':
+                return 'TOP OUT · garbage pushed the stack over the top';
+            case 'solved':
+                return describePuzzleGoal(this.game.puzzleGoal);
+            case 'failed':
+                return `OUT OF PIECES · ${describePuzzleGoal(this.game.puzzleGoal)} not reached`;
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Animate the reveal of a fading/invisible stack
+     * Returns how long the reveal takes in ms (0 when the stack was visible)
+     */
+    revealBoard() {
+        if (this.game.visibility === 'visible') return 0;
+        
+        this.renderer.startReveal();
+        const animate = () => {
+            this.renderer.render(this.game);
+            if (this.renderer.isRevealing()) {
+                this.animationId = requestAnimationFrame(animate);
+            } else {
+                this.animationId = null;
+            }
+        };
+        this.animationId = requestAnimationFrame(animate);
+        return this.renderer.revealDuration;
+    }
+    
+    /**
+     * Say whether a finished replay matched the recording (hidden for normal games)
+     */
+    showPlaybackResult(element) {
+        if (!element) return;
+        const isPlayback = this.game.playback !== null;
+        element.textContent = this.game.isPlaybackVerified()
+            ? 'Replay verified: same board and score'
+            : 'Replay did not match the recorded game';
+        element.classList.toggle('hidden', !isPlayback);
+    }
+    
+    /**
+     * Show the results screen for a finished sprint or dig with the final time
+     */
+    showRaceResults(screenDelay = 500) {
+        const isPlayback = this.game.playback !== null;
+        const isAI = this.autoplayer !== null;
+        const isDig = this.game.mode === 'dig';
+        const time = this.game.getElapsedMs();
+        const pieces = this.game.piecesPlaced;
+        
+        if (this.elements.resultsTitle) {
+            const title = isDig ? 'DIG COMPLETE' : 'SPRINT COMPLETE';
+            this.elements.resultsTitle.textContent = isPlayback ? 'REPLAY END' : title;
+        }
+        if (this.elements.resultsSummary) {
+            const goal = isDig ? `${this.game.garbageRows} garbage rows` : `${this.game.lineGoal} lines`;
+            this.elements.resultsSummary.textContent = `${goal} in ${formatTime(time)} · ${pieces} pieces`;
+        }
+        if (this.elements.resultsSplits) {
+            this.elements.resultsSplits.innerHTML = this.game.splits.map((split, index) => `
+                <li><span>${(index + 1) * this.game.SPLIT_LINES}L</span><span>${formatTime(split)}</span></li>
+            `).join('');
+        }
+        this.showPlaybackResult(this.elements.resultsStatus);
+        
+        if (this.elements.resultsForm) {
+            const isRecord = isDig
+                ? this.storage.isDigRecord(this.game.garbageRows, time, pieces)
+                : this.storage.isSprintRecord(this.game.lineGoal, time);
+            this.elements.resultsForm.classList.toggle('hidden',
+                isPlayback || isAI || !this.game.isRanked() || !isRecord);
+        }
+        if (this.elements.resultsNameInput) {
+            this.elements.resultsNameInput.value = '';
+        }
+        
+        setTimeout(() => {
+            this.showScreen('results');
+        }, screenDelay);
+    }
+    
+    /**
+     * Handle sprint / dig time form submission
+     */
+    handleResultsSubmit() {
+        const name = this.elements.resultsNameInput.value.trim();
+        if (!name || !this.game.isRanked()) return;
+        
+        const details = {
+            seed: this.game.seed,
+            randomizer: this.game.randomizerType,
+            visibility: this.game.visibility,
+            pieceSet: this.game.pieceSetId,
+            rotationSystem: this.game.rotationSystemId
+        };
+        if (this.game.mode === 'dig') {
+            this.storage.saveDigTime(name, this.game.garbageRows, this.game.getElapsedMs(),
+                this.game.piecesPlaced, details, this.game.recorder);
+            this.leaderboard = 'dig';
+        } else {
+            this.storage.saveSprintTime(name, this.game.lineGoal, this.game.getElapsedMs(), {
+                ...details,
+                pieces: this.game.piecesPlaced,
+                splits: this.game.splits
+            }, this.game.recorder);
+            this.leaderboard = `sprint-${this.game.lineGoal}`;
+        }
+        this.showScreen('highscores');
+        this.renderHighScores();
     }
     
     /**
@@ -390,10 +1446,38 @@ class App {
      */
     handleScoreSubmit() {
         const name = this.elements.playerNameInput.value.trim();
-        if (name) {
-            this.storage.saveScore(name, this.game.score, this.game.level);
-            this.showScreen('highscores');
-            this.renderHighScores();
+        if (!name || !this.game.isRanked()) return;
+        
+        const details = {
+            seed: this.game.seed,
+            randomizer: this.game.randomizerType,
+            startLevel: this.game.startLevel,
+            visibility: this.game.visibility,
+            pieceSet: this.game.pieceSetId,
+            rotationSystem: this.game.rotationSystemId
+        };
+        if (this.game.mode === 'ultra') {
+            this.storage.saveUltraScore(name, this.game.timeLimit, this.game.score, {
+                level: this.game.level,
+                lines: this.game.lines,
+                ...details
+            }, this.game.recorder);
+            this.leaderboard = 'ultra';
+        } else {
+            this.storage.saveScore(name, this.game.score, this.game.level, details, this.game.recorder);
+            this.leaderboard = 'marathon';
+        }
+        this.showScreen('highscores');
+        this.renderHighScores();
+    }
+    
+    /**
+     * Handle seed form submission
+     */
+    handleSeedSubmit() {
+        const seed = this.elements.seedInput.value.trim().toUpperCase();
+        if (seed) {
+            this.startGame(seed);
         }
     }
     
@@ -411,6 +1495,55 @@ class App {
         if (this.elements.scoreDisplay) {
             this.elements.scoreDisplay.textContent = score;
         }
+        if (this.elements.comboDisplay) {
+            this.elements.comboDisplay.textContent = this.game.combo > 0 ? `×${this.game.combo}` : '-';
+        }
+        if (this.elements.b2bDisplay) {
+            const b2b = this.game.backToBackCount > 0 ? `×${this.game.backToBackCount}` : 'READY';
+            this.elements.b2bDisplay.textContent = this.game.backToBack ? b2b : '-';
+        }
+        if (this.elements.linesLabel) {
+            this.elements.linesLabel.textContent = this.game.mode === 'dig' ? 'GARBAGE' : 'LINES';
+        }
+        if (this.elements.linesDisplay) {
+            let lines = this.game.lines;
+            if (this.game.mode === 'sprint') {
+                lines = `${Math.min(this.game.lines, this.game.lineGoal)}/${this.game.lineGoal}`;
+            } else if (this.game.mode === 'dig') {
+                lines = `${this.game.getDigRemaining()}/${this.game.garbageRows}`;
+            }
+            this.elements.linesDisplay.textContent = lines;
+        }
+        if (this.elements.undoRow) {
+            this.elements.undoRow.classList.toggle('hidden', this.game.mode !== 'practice');
+        }
+        if (this.elements.puzzleGoalRow) {
+            this.elements.puzzleGoalRow.classList.toggle('hidden', !this.game.puzzleGoal);
+        }
+        if (this.elements.puzzleGoalDisplay && this.game.puzzleGoal) {
+            this.elements.puzzleGoalDisplay.textContent = describePuzzleGoal(this.game.puzzleGoal);
+        }
+        if (this.elements.undoDisplay) {
+            this.elements.undoDisplay.textContent = this.game.undoCount;
+        }
+        if (this.elements.redoDisplay) {
+            this.elements.redoDisplay.textContent = this.game.redoStack.length || '-';
+        }
+        this.updateTimer();
+    }
+    
+    /**
+     * Update the game timer (runs every frame)
+     */
+    updateTimer() {
+        const isUltra = this.game.mode === 'ultra';
+        if (this.elements.timerLabel) {
+            this.elements.timerLabel.textContent = isUltra ? 'TIME LEFT' : 'TIME';
+        }
+        if (this.elements.timerDisplay) {
+            const time = isUltra ? this.game.getRemainingMs() : this.game.getElapsedMs();
+            this.elements.timerDisplay.textContent = formatTime(time);
+        }
     }
     
     /**
@@ -420,6 +1553,11 @@ class App {
         if (this.elements.pauseOverlay) {
             this.elements.pauseOverlay.classList.toggle('hidden', this.game.state !== 'paused');
         }
+        // A fumen export only shows for the pause it was made in
+        if (this.game.state !== 'paused') {
+            if (this.elements.fumenExport) this.elements.fumenExport.classList.add('hidden');
+            if (this.elements.fumenExportStatus) this.elements.fumenExportStatus.classList.add('hidden');
+        }
     }
     
     /**
@@ -435,6 +1573,11 @@ class App {
             targetScreen.classList.add('active');
         }
         
+        // Menu always opens on the main list, not the new-game setup
+        if (screenId === 'menu') {
+            this.showNewGameSetup(false);
+        }
+        
         // Handle game loop based on screen
         if (screenId !== 'game' && this.game.state === 'playing') {
             // Keep game running in background when showing menu
@@ -448,7 +1591,33 @@ class App {
         const container = this.elements.scoresList;
         if (!container) return;
         
-        const scores = this.storage.getScores();
+        this.elements.leaderboardTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.leaderboard === this.leaderboard);
+        });
+        
+        // The ultra and dig tabs show the board for the options currently selected
+        const ultraMinutes = this.settings.ultraMinutes;
+        if (this.elements.ultraTab) {
+            this.elements.ultraTab.textContent = `Ultra ${ultraMinutes}m`;
+        }
+        if (this.elements.digTab) {
+            this.elements.digTab.textContent = `Dig ${this.settings.digRows}`;
+        }
+        
+        // Sprint boards (sprint-<lines>) and dig rank by time, marathon and ultra by score
+        const isSprint = this.leaderboard.startsWith('sprint-');
+        const isDig = this.leaderboard === 'dig';
+        let scores;
+        if (isSprint) {
+            scores = this.storage.getSprintTimes(parseInt(this.leaderboard.slice('sprint-'.length), 10));
+        } else if (isDig) {
+            scores = this.storage.getDigTimes(this.settings.digRows);
+        } else if (this.leaderboard === 'ultra') {
+            scores = this.storage.getUltraScores(ultraMinutes * 60 * 1000);
+        } else {
+            scores = this.storage.getScores();
+        }
+        const replays = this.storage.getReplays();
         
         if (scores.length === 0) {
             container.innerHTML = '<p class="no-scores">No scores yet. Play to set a record!</p>';
@@ -459,11 +1628,21 @@ class App {
             <div class="score-row">
                 <span class="score-rank">${index + 1}.</span>
                 <span class="score-name">${sanitize(score.name)}</span>
-                <span class="score-value">${formatNumber(score.score)}</span>
+                <span class="score-value">${this.formatLeaderboardValue(score, isSprint, isDig)}</span>
+                ${replays[score.id] ? `<button class="score-replay" data-replay-id="${sanitize(score.id)}" title="Watch replay">▶</button>` : ''}
             </div>
         `).join('');
     }
     
+    /**
+     * Format the ranked value of a leaderboard entry
+     */
+    formatLeaderboardValue(entry, isSprint, isDig) {
+        if (isDig) return `${formatTime(entry.time)} · ${entry.pieces}p`;
+        if (isSprint) return formatTime(entry.time);
+        return formatNumber(entry.score);
+    }
+    
     /**
      * Setup responsive behavior
      */
@@ -491,34 +1670,39 @@ class App {
             const availableWidth = gameAreaRect.width - (containerPadding + gap);
             const availableHeight = gameAreaRect.height;
             
-            // Board dimensions: 10 columns, 20 rows
-            const boardWidth = 10;
-            const boardHeight = 20;
+            // Board dimensions in cells
+            const boardWidth = this.game.board.width;
+            const boardHeight = this.game.board.height;
             
             // Calculate cell size based on available space
             const cellByWidth = Math.floor(availableWidth / boardWidth);
-            const cellByHeight = Math.floor(availableHeight / boardHeight);
+            const cellByHeight = Math.floor(availableHeight / (boardHeight + this.renderer.bufferPeek));
             
             // Use the smaller dimension to ensure board fits
             let cellSize = Math.min(cellByWidth, cellByHeight);
             
+            // Size limits are tuned for 10×20; bigger boards scale them down to still fit
+            const scale = Math.min(1, 10 / boardWidth, 20 / boardHeight);
+            const limit = (size) => Math.floor(size * scale);
+            
             // Apply constraints
             if (window.innerWidth <= 768) {
                 // Mobile: ensure minimum playability
-                cellSize = Math.max(cellSize, 20);
+                cellSize = Math.max(cellSize, limit(20));
                 cellSize = Math.min(cellSize, 35); // Max size for mobile
             } else if (window.innerWidth <= 1024) {
                 // Tablet
-                cellSize = Math.max(cellSize, 22);
+                cellSize = Math.max(cellSize, limit(22));
                 cellSize = Math.min(cellSize, 30);
             } else {
                 // Desktop: maximize size
-                cellSize = Math.max(cellSize, 24);
+                cellSize = Math.max(cellSize, limit(24));
                 cellSize = Math.min(cellSize, 40);
             }
             
             if (this.renderer && cellSize > 0) {
                 this.renderer.setCellSize(cellSize);
+                this.controls.updateCellSize();
                 // Re-render if game is active
                 if (this.game.state === 'playing' || this.game.state === 'paused') {
                     this.renderer.render(this.game);
@@ -529,8 +1713,8 @@ class App {
         window.addEventListener('resize', updateCellSize);
         // Also update when game starts
         const originalStartGame = this.startGame.bind(this);
-        this.startGame = () => {
-            originalStartGame();
+        this.startGame = (...args) => {
+            originalStartGame(...args);
             setTimeout(updateCellSize, 50);
         };
         updateCellSize();
@@ -0,0 +1,101 @@
+// piece-sets.js - Loadable Piece Set Definitions
+
+/**
+ * Turn a shape written as rows of '#' / '.' into a 0/1 matrix
+ */
+function parseShape(rows) {
+    return rows.map(row => [...row].map(cell => (cell === '#' ? 1 : 0)));
+}
+
+/**
+ * Build the four rotation states of a square shape
+ * (each state is the previous one turned clockwise)
+ */
+function buildRotations(rows) {
+    const size = rows.length;
+    const rotations = [parseShape(rows)];
+    
+    for (let i = 1; i < 4; i++) {
+        const prev = rotations[i - 1];
+        rotations.push(prev.map((row, r) => row.map((_, c) => prev[size - 1 - c][r])));
+    }
+    return rotations;
+}
+
+/**
+ * Create a piece definition from a spawn shape
+ */
+function definePiece(color, colorName, rows, options = {}) {
+    return { color, colorName, rotations: buildRotations(rows), ...options };
+}
+
+// 18 one-sided pentominoes (m = mirrored)
+const PENTOMINOES = {
+    F:  definePiece('#cc3366', 'magenta', ['.##', '##.', '.#.'], { kicks: 'JLSTZ' }),
+    Fm: definePiece('#993399', 'violet', ['##.', '.##', '.#.'], { kicks: 'JLSTZ' }),
+    I:  definePiece('#00a8a8', 'cyan', ['.....', '.....', '#####', '.....', '.....'], { kicks: 'I' }),
+    L:  definePiece('#cc6600', 'orange', ['...#', '####', '....', '....'], { kicks: 'I' }),
+    Lm: definePiece('#3366cc', 'blue', ['#...', '####', '....', '....'], { kicks: 'I' }),
+    N:  definePiece('#66aa22', 'lime', ['..##', '###.', '....', '....'], { kicks: 'I' }),
+    Nm: definePiece('#cc9933', 'tan', ['##..', '.###', '....', '....'], { kicks: 'I' }),
+    P:  definePiece('#d4a800', 'yellow', ['##.', '###', '...'], { kicks: 'JLSTZ' }),
+    Pm: definePiece('#b3b300', 'olive', ['.##', '###', '...'], { kicks: 'JLSTZ' }),
+    T:  definePiece('#9933cc', 'purple', ['###', '.#.', '.#.'], { kicks: 'JLSTZ' }),
+    U:  definePiece('#cc6699', 'pink', ['#.#', '###', '...'], { kicks: 'JLSTZ' }),
+    V:  definePiece('#3399ff', 'sky', ['#..', '#..', '###'], { kicks: 'JLSTZ' }),
+    W:  definePiece('#33cc99', 'teal', ['#..', '##.', '.##'], { kicks: 'JLSTZ' }),
+    X:  definePiece('#cc3333', 'red', ['.#.', '###', '.#.']),
+    Y:  definePiece('#339966', 'green', ['..#.', '####', '....', '....'], { kicks: 'I' }),
+    Ym: definePiece('#6666cc', 'indigo', ['.#..', '####', '....', '....'], { kicks: 'I' }),
+    Z:  definePiece('#cc4422', 'brick', ['##.', '.#.', '.##'], { kicks: 'JLSTZ' }),
+    Zm: definePiece('#22aa44', 'emerald', ['.##', '.#.', '##.'], { kicks: 'JLSTZ' })
+};
+
+// Easy set: the two trominoes and the domino
+const TROMINOES_DOMINO = {
+    I3: definePiece('#00a8a8', 'cyan', ['...', '###', '...'], { kicks: 'JLSTZ' }),
+    L3: definePiece('#cc6600', 'orange', ['#.', '##'], { kicks: 'JLSTZ' }),
+    I2: definePiece('#d4a800', 'yellow', ['##', '..'], { kicks: 'JLSTZ' })
+};
+
+/**
+ * Available piece sets, keyed by the id stored in settings and scores
+ * Each set lists its pieces and the kick tables they refer to
+ */
+const PIECE_SETS = {
+    standard: {
+        name: 'Standard',
+        pieces: TETROMINOES,
+        kicks: WALL_KICKS
+    },
+    pentomino: {
+        name: 'Pentomino',
+        pieces: PENTOMINOES,
+        kicks: WALL_KICKS
+    },
+    trominoDomino: {
+        name: 'Tromino + Domino',
+        pieces: TROMINOES_DOMINO,
+        kicks: WALL_KICKS
+    }
+};
+
+/**
+ * Get a piece set by id (falls back to the standard set)
+ */
+function getPieceSet(id) {
+    return PIECE_SETS[id] || PIECE_SETS.standard;
+}
+
+/**
+ * Get the widest piece in a set, in columns (the narrowest board it fits)
+ */
+function getPieceSetWidth(pieceSet) {
+    return Math.max(...Object.values(pieceSet.pieces).map(piece => {
+        const columns = new Set();
+        piece.rotations[0].forEach(row => row.forEach((cell, col) => {
+            if (cell) columns.add(col);
+        }));
+        return columns.size;
+    }));
+}
@@ -0,0 +1,236 @@
+// puzzle-packs.js - Built-in Puzzle Packs (see puzzles.js for the format)
+
+const STARTER_PUZZLE_PACK = {
+    format: 'retris-puzzles',
+    version: 1,
+    id: 'starter',
+    name: 'Starter Pack',
+    puzzles: [
+        {
+            id: 'first-tetris',
+            name: 'First Tetris',
+            field: [
+                'XXXXXXXXX.',
+                'XXXXXXXXX.',
+                'XXXXXXXXX.',
+                'XXXXXXXXX.'
+            ],
+            queue: ['I'],
+            goal: { type: 'lines', lines: 4 }
+        },
+        {
+            id: 'square-peg',
+            name: 'Square Peg',
+            field: [
+                'XXXXXXXX..',
+                'XXXXXXXX..'
+            ],
+            queue: ['O'],
+            goal: { type: 'lines', lines: 2 }
+        },
+        {
+            id: 's-step',
+            name: 'S Step',
+            field: [
+                'XXXXXXX..X',
+                'XXXXXXXX.X'
+            ],
+            queue: ['S'],
+            goal: { type: 'lines', lines: 2 }
+        },
+        {
+            id: 'z-step',
+            name: 'Z Step',
+            field: [
+                'X..XXXXXXX',
+                'X.XXXXXXXX'
+            ],
+            queue: ['Z'],
+            goal: { type: 'lines', lines: 2 }
+        },
+        {
+            id: 't-slot',
+            name: 'T Slot',
+            field: [
+                'XXXXXXXX..',
+                'XXXXXXXX.X'
+            ],
+            queue: ['T'],
+            goal: { type: 'lines', lines: 2 }
+        },
+        {
+            id: 'twin-wells',
+            name: 'Twin Wells',
+            field: [
+                'X.XXXXXXX.',
+                'X.XXXXXXX.',
+                'X.XXXXXXX.',
+                'X.XXXXXXX.'
+            ],
+            queue: ['I', 'I'],
+            goal: { type: 'lines', lines: 4 }
+        },
+        {
+            id: 'fill-the-box',
+            name: 'Fill the Box',
+            field: [
+                'XXXXXX....',
+                'XXXXXX....',
+                'XXXXXX....'
+            ],
+            queue: ['L', 'O', 'L'],
+            goal: { type: 'lines', lines: 3 }
+        },
+        {
+            id: 'quad-box',
+            name: 'Quad Box',
+            field: [
+                'XXXXXX....',
+                'XXXXXX....',
+                'XXXXXX....',
+                'XXXXXX....'
+            ],
+            queue: ['I', 'O', 'L', 'L'],
+            goal: { type: 'lines', lines: 4 }
+        },
+        {
+            id: 'five-piece-clear',
+            name: 'Five Piece Clear',
+            field: [
+                'XXXXX.....',
+                'XXXXX.....',
+                'XXXXX.....',
+                'XXXXX.....'
+            ],
+            queue: ['I', 'O', 'J', 'J', 'I'],
+            goal: { type: 'lines', lines: 4 }
+        },
+        {
+            id: 'clean-sweep',
+            name: 'Clean Sweep',
+            field: [
+                'XXXXXXXX..',
+                'XXXXXXXX..'
+            ],
+            queue: ['O'],
+            goal: { type: 'perfectClear' }
+        },
+        {
+            id: 't-finish',
+            name: 'T Finish',
+            field: [
+                'XXXXXXX...',
+                'XXXXXXXX.X'
+            ],
+            queue: ['T'],
+            goal: { type: 'perfectClear' }
+        },
+        {
+            id: 'three-piece-sweep',
+            name: 'Three Piece Sweep',
+            field: [
+                'XXXX......',
+                'XXXX......'
+            ],
+            queue: ['J', 'L', 'I'],
+            goal: { type: 'perfectClear' }
+        },
+        {
+            id: 'four-piece-sweep',
+            name: 'Four Piece Sweep',
+            field: [
+                'XXXXXX....',
+                'XXXXXX....',
+                'XXXXXX....',
+                'XXXXXX....'
+            ],
+            queue: ['O', 'O', 'I', 'I'],
+            goal: { type: 'perfectClear' }
+        },
+        {
+            id: 'hold-the-o',
+            name: 'Hold the O',
+            field: [
+                'XXXXXXXXX.',
+                'XXXXXXXXX.',
+                'XXXXXXXXX.',
+                'XXXXXXXXX.'
+            ],
+            queue: ['O', 'I'],
+            goal: { type: 'perfectClear' }
+        },
+        {
+            id: 't-spin-single',
+            name: 'T-Spin Single',
+            field: [
+                'XXXX......',
+                'XX....XXXX',
+                'XXXX.XXXXX'
+            ],
+            queue: ['T'],
+            goal: { type: 'tspin', lines: 1 }
+        },
+        {
+            id: 't-spin-double',
+            name: 'T-Spin Double',
+            field: [
+                'XXXX......',
+                'XXX...XXXX',
+                'XXXX.XXXXX'
+            ],
+            queue: ['T'],
+            goal: { type: 'tspin', lines: 2 }
+        },
+        {
+            id: 'mirror-double',
+            name: 'Mirror Double',
+            field: [
+                '......XXXX',
+                'XXXX...XXX',
+                'XXXXX.XXXX'
+            ],
+            queue: ['T'],
+            goal: { type: 'tspin', lines: 2 }
+        },
+        {
+            id: 'build-a-double',
+            name: 'Build a Double',
+            field: [
+                'XXX.......',
+                'XXX...XXXX',
+                'XXXX.XXXXX'
+            ],
+            queue: ['J', 'T'],
+            goal: { type: 'tspin', lines: 2 }
+        },
+        {
+            id: 't-spin-triple',
+            name: 'T-Spin Triple',
+            field: [
+                '...XXXXXXX',
+                '....XXXXXX',
+                'XXX.XXXXXX',
+                'XX..XXXXXX',
+                'XXX.XXXXXX'
+            ],
+            queue: ['T'],
+            goal: { type: 'tspin', lines: 3 }
+        },
+        {
+            id: 'mirror-triple',
+            name: 'Mirror Triple',
+            field: [
+                'XXXXXXX...',
+                'XXXXXX....',
+                'XXXXXX.XXX',
+                'XXXXXX..XX',
+                'XXXXXX.XXX'
+            ],
+            queue: ['T'],
+            goal: { type: 'tspin', lines: 3 }
+        }
+    ]
+};
+
+// Packs listed on the puzzle screen, in order
+const PUZZLE_PACKS = [STARTER_PUZZLE_PACK];
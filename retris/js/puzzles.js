@@ -0,0 +1,139 @@
+// puzzles.js - Puzzle Pack Format and Goals
+
+const PUZZLE_FORMAT = 'retris-puzzles';
+const PUZZLE_VERSION = 1;
+
+/**
+ * Puzzle goals, keyed by goal.type
+ * isMet is checked after every lock with the clear that lock made:
+ * { lines, tSpin, perfectClear } (tSpin is null, 'mini' or 'full')
+ */
+const PUZZLE_GOALS = {
+    // Clear goal.lines lines in total
+    lines: {
+        isValid: goal => Number.isInteger(goal.lines) && goal.lines > 0,
+        describe: goal => `CLEAR ${goal.lines} LINE${goal.lines === 1 ? '' : 'S'}`,
+        isMet: (goal, game) => game.lines >= goal.lines
+    },
+    // Clear exactly goal.lines lines (0-3) with one full T-spin
+    tspin: {
+        isValid: goal => Number.isInteger(goal.lines) && goal.lines >= 0 && goal.lines <= 3,
+        describe: goal => `T-SPIN ${['ZERO', 'SINGLE', 'DOUBLE', 'TRIPLE'][goal.lines]}`,
+        isMet: (goal, game, clear) => clear.tSpin === 'full' && clear.lines === goal.lines
+    },
+    // Leave the board empty after a line clear
+    perfectClear: {
+        isValid: () => true,
+        describe: () => 'PERFECT CLEAR',
+        isMet: (goal, game, clear) => clear.perfectClear
+    }
+};
+
+/**
+ * Puzzle pack JSON format (version 1):
+ * {
+ *   format: 'retris-puzzles', version: 1, id, name,
+ *   puzzles: [{
+ *     id, name,
+ *     field: rows top to bottom, resting on the floor; each character is a cell:
+ *            '.' empty, I O T S Z J L in that piece's color, X garbage,
+ *     queue: piece types played in order (the held piece comes last),
+ *     hold: piece type held at the start (optional),
+ *     goal: { type: 'lines', lines } | { type: 'tspin', lines } | { type: 'perfectClear' }
+ *   }]
+ * }
+ * Every row of a field has the same width, which sets the board width.
+ * Puzzles always use the standard pieces and SRS, which their solutions rely on.
+ */
+
+/**
+ * Check a pack read from JSON and return it, throwing on anything unplayable
+ */
+function parsePuzzlePack(data) {
+    const pack = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!pack || pack.format !== PUZZLE_FORMAT) {
+        throw new Error('Not a puzzle pack');
+    }
+    if (pack.version !== PUZZLE_VERSION) {
+        throw new Error(`Unsupported puzzle pack version ${pack.version}`);
+    }
+    if (!pack.id || !Array.isArray(pack.puzzles) || pack.puzzles.length === 0) {
+        throw new Error('Puzzle pack has no puzzles');
+    }
+    
+    const ids = new Set();
+    pack.puzzles.forEach((puzzle, index) => {
+        const label = `Puzzle ${index + 1}`;
+        if (!puzzle.id || ids.has(puzzle.id)) {
+            throw new Error(`${label} needs a unique id`);
+        }
+        ids.add(puzzle.id);
+        
+        const field = puzzle.field || [];
+        const width = field.length > 0 ? field[0].length : 10;
+        if (width < BOARD_WIDTH_RANGE.min || width > BOARD_WIDTH_RANGE.max ||
+            field.length > BOARD_HEIGHT_RANGE.min ||
+            field.some(row => row.length !== width || !/^[.IOTSZJLX]*$/.test(row))) {
+            throw new Error(`${label} has an invalid field`);
+        }
+        const pieces = [...(puzzle.queue || []), ...(puzzle.hold ? [puzzle.hold] : [])];
+        if (!Array.isArray(puzzle.queue) || puzzle.queue.length === 0 ||
+            pieces.some(type => !TETROMINOES[type])) {
+            throw new Error(`${label} has an invalid queue`);
+        }
+        const goal = puzzle.goal || {};
+        if (!PUZZLE_GOALS[goal.type] || !PUZZLE_GOALS[goal.type].isValid(goal)) {
+            throw new Error(`${label} has an invalid goal`);
+        }
+    });
+    
+    return pack;
+}
+
+/**
+ * Get the color of a puzzle field cell (null for empty)
+ */
+function getPuzzleCellColor(char) {
+    if (char === '.') return null;
+    return TETROMINOES[char] ? TETROMINOES[char].color : GARBAGE_COLOR;
+}
+
+/**
+ * Get the puzzle field character for a cell color (garbage for colors of no tetromino)
+ */
+function getPuzzleCellChar(color) {
+    if (!color) return '.';
+    return Object.keys(TETROMINOES).find(type => TETROMINOES[type].color === color) || 'X';
+}
+
+/**
+ * Get the options Game.start() needs to play a puzzle
+ */
+function getPuzzleStartOptions(puzzle) {
+    const field = puzzle.field || [];
+    return {
+        mode: 'puzzle',
+        pieceSet: 'standard',
+        rotationSystem: 'srs',
+        boardWidth: field.length > 0 ? field[0].length : 10,
+        boardHeight: 20,
+        field: field.map(row => [...row].map(getPuzzleCellColor)),
+        queue: puzzle.queue,
+        hold: puzzle.hold || null,
+        goal: puzzle.goal
+    };
+}
+
+/**
+ * Get a short description of a puzzle goal
+ */
+function describePuzzleGoal(goal) {
+    return PUZZLE_GOALS[goal.type].describe(goal);
+}
+
+/**
+ * Check a puzzle goal after a lock
+ */
+function isPuzzleGoalMet(goal, game, clear) {
+    return PUZZLE_GOALS[goal.type].isMet(goal, game, clear);
+}
@@ -0,0 +1,227 @@
+// randomizer.js - Piece Randomizer Strategies
+
+/**
+ * Base randomizer: every strategy draws from a seeded RNG
+ * and hands out piece types through next()
+ */
+class Randomizer {
+    constructor(seed = generateSeed(), pieces = Object.keys(TETROMINOES)) {
+        this.seed = seed;
+        this.random = createRng(seed);
+        this.pieces = pieces;
+    }
+    
+    /**
+     * Get the next piece type
+     */
+    next() {
+        throw new Error('Randomizer.next() must be implemented');
+    }
+    
+    /**
+     * Save everything that decides upcoming pieces (restored by setState)
+     */
+    getState() {
+        return { random: this.random.getState() };
+    }
+    
+    /**
+     * Restore a state saved by getState
+     */
+    setState(state) {
+        this.random.setState(state.random);
+    }
+    
+    /**
+     * Pick a uniformly random piece type
+     */
+    randomPiece() {
+        return this.pieces[Math.floor(this.random() * this.pieces.length)];
+    }
+}
+
+/**
+ * Bag randomizer for fair piece distribution
+ * bagCopies = 1 is the standard 7-bag, 2 gives a 14-bag
+ */
+class BagRandomizer extends Randomizer {
+    constructor(seed = generateSeed(), bagCopies = 1, pieces = Object.keys(TETROMINOES)) {
+        super(seed, pieces);
+        this.bagCopies = bagCopies;
+        this.bag = [];
+        this.refillBag();
+    }
+    
+    /**
+     * Create a freshly shuffled bag of all pieces
+     */
+    createBag() {
+        const bag = [];
+        for (let i = 0; i < this.bagCopies; i++) {
+            bag.push(...this.pieces);
+        }
+        // Fisher-Yates shuffle
+        for (let i = bag.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [bag[i], bag[j]] = [bag[j], bag[i]];
+        }
+        return bag;
+    }
+    
+    /**
+     * Queue another bag behind the pieces still waiting
+     * (pieces are popped from the end, so new bags go in front)
+     */
+    refillBag() {
+        this.bag = this.createBag().concat(this.bag);
+    }
+    
+    getState() {
+        return { ...super.getState(), bag: [...this.bag] };
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.bag = [...state.bag];
+    }
+    
+    next() {
+        if (this.bag.length === 0) {
+            this.refillBag();
+        }
+        return this.bag.pop();
+    }
+    
+    /**
+     * Look ahead without consuming (index 0 = next piece),
+     * pulling in further bags as needed
+     */
+    peek(index = 0) {
+        while (this.bag.length <= index) {
+            this.refillBag();
+        }
+        return this.bag[this.bag.length - 1 - index];
+    }
+}
+
+/**
+ * Pure random: every piece is an independent uniform roll
+ */
+class PureRandomizer extends Randomizer {
+    next() {
+        return this.randomPiece();
+    }
+}
+
+/**
+ * NES randomizer: roll one extra "reroll" slot alongside the pieces;
+ * if it hits that slot or repeats the last piece, roll once more and accept
+ */
+class NesRandomizer extends Randomizer {
+    constructor(seed = generateSeed(), pieces = Object.keys(TETROMINOES)) {
+        super(seed, pieces);
+        this.lastPiece = null;
+    }
+    
+    getState() {
+        return { ...super.getState(), lastPiece: this.lastPiece };
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.lastPiece = state.lastPiece;
+    }
+    
+    next() {
+        const roll = Math.floor(this.random() * (this.pieces.length + 1));
+        let piece = this.pieces[roll];
+        
+        if (roll === this.pieces.length || piece === this.lastPiece) {
+            piece = this.randomPiece();
+        }
+        
+        this.lastPiece = piece;
+        return piece;
+    }
+}
+
+/**
+ * TGM randomizer: keep a history of the last 4 pieces and reroll
+ * up to 6 times to avoid them. The first piece is never S, Z or O.
+ */
+class TgmRandomizer extends Randomizer {
+    constructor(seed = generateSeed(), pieces = Object.keys(TETROMINOES)) {
+        super(seed, pieces);
+        this.historySize = 4;
+        this.maxRolls = 6;
+        // TGM starts with a history of Z, Z, S, S to discourage early snakes
+        this.history = ['Z', 'Z', 'S', 'S'];
+        this.isFirstPiece = true;
+    }
+    
+    getState() {
+        return { ...super.getState(), history: [...this.history], isFirstPiece: this.isFirstPiece };
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.history = [...state.history];
+        this.isFirstPiece = state.isFirstPiece;
+    }
+    
+    next() {
+        let piece;
+        
+        if (this.isFirstPiece) {
+            const starters = this.pieces.filter(type => !['S', 'Z', 'O'].includes(type));
+            const choices = starters.length > 0 ? starters : this.pieces;
+            piece = choices[Math.floor(this.random() * choices.length)];
+            this.isFirstPiece = false;
+        } else {
+            for (let roll = 0; roll < this.maxRolls; roll++) {
+                piece = this.randomPiece();
+                if (!this.history.includes(piece)) break;
+            }
+        }
+        
+        this.history.push(piece);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        return piece;
+    }
+}
+
+/**
+ * Available randomizer strategies, keyed by the id stored in settings and scores
+ */
+const RANDOMIZERS = {
+    bag7: {
+        name: '7-Bag',
+        create: (seed, pieces) => new BagRandomizer(seed, 1, pieces)
+    },
+    bag14: {
+        name: '14-Bag',
+        create: (seed, pieces) => new BagRandomizer(seed, 2, pieces)
+    },
+    random: {
+        name: 'Pure Random',
+        create: (seed, pieces) => new PureRandomizer(seed, pieces)
+    },
+    nes: {
+        name: 'NES',
+        create: (seed, pieces) => new NesRandomizer(seed, pieces)
+    },
+    tgm: {
+        name: 'TGM',
+        create: (seed, pieces) => new TgmRandomizer(seed, pieces)
+    }
+};
+
+/**
+ * Create a randomizer by id (falls back to the 7-bag)
+ */
+function createRandomizer(type, seed, pieces = Object.keys(TETROMINOES)) {
+    const entry = RANDOMIZERS[type] || RANDOMIZERS.bag7;
+    return entry.create(seed, pieces);
+}
@@ -1,17 +1,20 @@
 // renderer.js - Canvas Rendering
 
 class Renderer {
-    constructor(canvas, nextCanvas, nextCanvasMobile = null) {
+    constructor(canvas, nextCanvas, nextCanvasMobile = null, holdCanvas = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.nextCanvas = nextCanvas;
         this.nextCtx = nextCanvas.getContext('2d');
         this.nextCanvasMobile = nextCanvasMobile;
         this.nextCtxMobile = nextCanvasMobile ? nextCanvasMobile.getContext('2d') : null;
+        this.holdCanvas = holdCanvas;
+        this.holdCtx = holdCanvas ? holdCanvas.getContext('2d') : null;
         
         this.cellSize = 28;
         this.boardWidth = 10;
         this.boardHeight = 20;
+        this.bufferPeek = 0.5; // How much of the top hidden buffer row shows above the field
         
         // Colors from CSS variables
         this.colors = {
@@ -20,6 +23,30 @@ class Renderer {
             gridDot: '#2a2a2a'
         };
         
+        // Floating text callouts (e.g. "T-SPIN DOUBLE")
+        this.announcements = [];
+        this.announcementDuration = 1200;
+        this.fontFamily = "'Inter', -apple-system, BlinkMacSystemFont, sans-serif";
+        
+        // Full-board flash (e.g. perfect clear)
+        this.flashStart = 0;
+        this.flashColor = '#ffffff';
+        this.flashDuration = 500;
+        
+        // Game-over reveal of a hidden (fading/invisible) stack, bottom row first
+        this.revealStart = 0;
+        this.revealDuration = 1000;
+        
+        this.updateCanvasSize();
+    }
+    
+    /**
+     * Set the board dimensions in cells and update canvas dimensions
+     */
+    setBoardSize(width, height) {
+        if (width === this.boardWidth && height === this.boardHeight) return;
+        this.boardWidth = width;
+        this.boardHeight = height;
         this.updateCanvasSize();
     }
     
@@ -36,7 +63,7 @@ class Renderer {
      */
     updateCanvasSize() {
         this.canvas.width = this.boardWidth * this.cellSize;
-        this.canvas.height = this.boardHeight * this.cellSize;
+        this.canvas.height = this.boardHeight * this.cellSize + this.getFieldTop();
         
         // Update container size to match
         const container = this.canvas.parentElement;
@@ -46,13 +73,23 @@ class Renderer {
         }
     }
     
+    /**
+     * Get the pixel offset of visible row 0 (the buffer sliver sits above it)
+     */
+    getFieldTop() {
+        return Math.round(this.cellSize * this.bufferPeek);
+    }
+    
     /**
      * Clear the canvas
      */
     clear() {
         this.ctx.fillStyle = this.colors.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.save();
+        this.ctx.translate(0, this.getFieldTop());
         this.drawGrid();
+        this.ctx.restore();
     }
     
     /**
@@ -140,19 +177,61 @@ class Renderer {
     }
     
     /**
-     * Draw the board (placed blocks)
+     * Draw the board (placed blocks, plus the bottom buffer row peeking in at the top)
      */
-    drawBoard(board) {
-        for (let y = 0; y < board.height; y++) {
+    drawBoard(board, game = null) {
+        for (let y = -1; y < board.height; y++) {
+            const row = board.getRow(y);
+            if (!row) continue;
             for (let x = 0; x < board.width; x++) {
-                const color = board.grid[y][x];
-                if (color) {
-                    this.drawBlock(x, y, color);
-                }
+                const cell = row[x];
+                if (!cell) continue;
+                
+                const alpha = game ? this.getCellAlpha(cell, y, game) : 1;
+                if (alpha <= 0) continue;
+                
+                this.ctx.save();
+                this.ctx.globalAlpha = alpha;
+                this.drawBlock(x, y, cell.color);
+                this.ctx.restore();
             }
         }
     }
     
+    /**
+     * Get how visible a locked cell is under the game's stack visibility
+     * Hidden stacks come back row by row during the game-over reveal
+     */
+    getCellAlpha(cell, y, game) {
+        let alpha = 1;
+        if (game.visibility === 'invisible') {
+            alpha = 0;
+        } else if (game.visibility === 'fading') {
+            alpha = clamp(1 - (game.getElapsedMs() - cell.lockedAt) / game.fadeDuration, 0, 1);
+        }
+        
+        if (alpha < 1 && game.state === 'gameover' && this.revealStart) {
+            const progress = (Date.now() - this.revealStart) / this.revealDuration;
+            const rowDelay = (game.board.height - 1 - y) / game.board.height * 0.7;
+            alpha = Math.max(alpha, clamp((progress - rowDelay) / 0.3, 0, 1));
+        }
+        return alpha;
+    }
+    
+    /**
+     * Start revealing the whole stack (at game over)
+     */
+    startReveal() {
+        this.revealStart = Date.now();
+    }
+    
+    /**
+     * Check if the game-over reveal is still animating
+     */
+    isRevealing() {
+        return this.revealStart > 0 && Date.now() - this.revealStart < this.revealDuration;
+    }
+    
     /**
      * Draw a tetromino (current piece or ghost)
      */
@@ -165,7 +244,7 @@ class Renderer {
                 for (let col = 0; col < tetromino.shape[row].length; col++) {
                     if (tetromino.shape[row][col]) {
                         const y = ghostY + row;
-                        if (y >= 0) {
+                        if (y >= -1) {
                             this.drawBlock(
                                 tetromino.x + col,
                                 y,
@@ -183,7 +262,7 @@ class Renderer {
             for (let col = 0; col < tetromino.shape[row].length; col++) {
                 if (tetromino.shape[row][col]) {
                     const y = tetromino.y + row;
-                    if (y >= 0) {
+                    if (y >= -1) {
                         this.drawBlock(
                             tetromino.x + col,
                             y,
@@ -196,28 +275,104 @@ class Renderer {
     }
     
     /**
-     * Draw the next piece preview
+     * Brighten a grounded piece as its lock delay runs out
      */
-    drawNextPiece(tetromino) {
-        if (!tetromino) return;
+    drawLockCue(tetromino, progress) {
+        const size = this.cellSize;
+        const padding = 1;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = `rgba(255, 255, 255, ${0.45 * progress})`;
+        for (let row = 0; row < tetromino.shape.length; row++) {
+            for (let col = 0; col < tetromino.shape[row].length; col++) {
+                const y = tetromino.y + row;
+                if (tetromino.shape[row][col] && y >= -1) {
+                    this.ctx.fillRect(
+                        (tetromino.x + col) * size + padding,
+                        y * size + padding,
+                        size - padding * 2,
+                        size - padding * 2
+                    );
+                }
+            }
+        }
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the next queue preview
+     */
+    drawNextPiece(pieces) {
+        if (!pieces || pieces.length === 0) return;
         
         // Draw on desktop canvas
-        this.drawNextPieceOnCanvas(tetromino, this.nextCanvas, this.nextCtx, 16);
+        this.drawNextPieceOnCanvas(pieces, this.nextCanvas, this.nextCtx, 16);
         
         // Draw on mobile canvas if available
         if (this.nextCanvasMobile && this.nextCtxMobile) {
-            this.drawNextPieceOnCanvas(tetromino, this.nextCanvasMobile, this.nextCtxMobile, 7);
+            this.drawNextPieceOnCanvas(pieces, this.nextCanvasMobile, this.nextCtxMobile, 7);
+        }
+    }
+    
+    /**
+     * Draw the hold piece preview (dimmed while hold is used up)
+     */
+    drawHoldPiece(tetromino, canHold = true) {
+        if (!this.holdCanvas || !this.holdCtx) return;
+        
+        const canvas = this.holdCanvas;
+        const ctx = this.holdCtx;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!tetromino) return;
+        
+        ctx.save();
+        if (!canHold) {
+            ctx.globalAlpha = 0.35;
         }
+        this.drawPreviewPiece(tetromino, ctx, 0, 0, canvas.width, canvas.height, 16);
+        ctx.restore();
     }
     
     /**
-     * Draw next piece on a specific canvas
+     * Get the block size for a slot in the next queue
+     * (the first piece is full size, later ones shrink)
      */
-    drawNextPieceOnCanvas(tetromino, canvas, ctx, blockSize) {
+    getPreviewBlockSize(index, blockSize) {
+        const scale = Math.max(1 - index * 0.15, 0.55);
+        return Math.max(Math.round(blockSize * scale), 3);
+    }
+    
+    /**
+     * Draw the next queue on a specific canvas as a vertical stack
+     */
+    drawNextPieceOnCanvas(pieces, canvas, ctx, blockSize) {
+        // Each slot is three blocks tall: two rows of piece plus spacing
+        const slotSizes = pieces.map((_, i) => this.getPreviewBlockSize(i, blockSize));
+        const height = pieces.length === 1
+            ? canvas.width
+            : slotSizes.reduce((sum, size) => sum + size * 3, 0);
+        
+        // Resizing a canvas also clears it, so only do it when needed
+        if (canvas.height !== height) {
+            canvas.height = height;
+        }
+        
         // Clear canvas
-        ctx.fillStyle = 'transparent';
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
+        let slotY = 0;
+        pieces.forEach((tetromino, i) => {
+            const size = slotSizes[i];
+            const slotHeight = pieces.length === 1 ? height : size * 3;
+            this.drawPreviewPiece(tetromino, ctx, 0, slotY, canvas.width, slotHeight, size);
+            slotY += slotHeight;
+        });
+    }
+    
+    /**
+     * Draw a piece centered inside a rectangle of a preview canvas
+     */
+    drawPreviewPiece(tetromino, ctx, areaX, areaY, areaWidth, areaHeight, blockSize) {
         const shape = tetromino.shape;
         
         // Calculate bounds to center the piece
@@ -235,10 +390,17 @@ class Renderer {
             }
         }
         
+        // Shrink wide or tall pieces (e.g. pentominoes) to keep a block of margin
+        blockSize = Math.min(
+            blockSize,
+            Math.floor(areaWidth / (maxX - minX + 2)),
+            Math.floor(areaHeight / (maxY - minY + 2))
+        );
+        
         const pieceWidth = (maxX - minX + 1) * blockSize;
         const pieceHeight = (maxY - minY + 1) * blockSize;
-        const offsetX = (canvas.width - pieceWidth) / 2 - minX * blockSize;
-        const offsetY = (canvas.height - pieceHeight) / 2 - minY * blockSize;
+        const offsetX = areaX + (areaWidth - pieceWidth) / 2 - minX * blockSize;
+        const offsetY = areaY + (areaHeight - pieceHeight) / 2 - minY * blockSize;
         
         // Draw blocks
         for (let row = 0; row < shape.length; row++) {
@@ -267,22 +429,97 @@ class Renderer {
         // Clear and draw grid
         this.clear();
         
+        // Field rows start below the buffer sliver
+        this.ctx.save();
+        this.ctx.translate(0, this.getFieldTop());
+        
         // Draw placed blocks
-        this.drawBoard(game.board);
+        this.drawBoard(game.board, game);
         
         // Draw current piece with ghost
         if (game.currentPiece && game.state === 'playing') {
             const ghostY = game.getGhostY();
             this.drawTetromino(game.currentPiece, ghostY);
+            if (game.isLocking) {
+                this.drawLockCue(game.currentPiece, game.getLockProgress());
+            }
         } else if (game.currentPiece && game.state === 'paused') {
             // Still show piece when paused but no ghost
             this.drawTetromino(game.currentPiece);
         }
+        this.ctx.restore();
         
-        // Draw next piece preview
-        if (game.nextPiece) {
-            this.drawNextPiece(game.nextPiece);
-        }
+        // Draw next queue preview
+        this.drawNextPiece(game.getNextPieces());
+        
+        // Draw hold piece preview
+        this.drawHoldPiece(game.holdPiece, game.canHold);
+        
+        // Draw board flash and clear callouts on top
+        this.drawFlash();
+        this.drawAnnouncements();
+    }
+    
+    /**
+     * Show a floating text callout over the board
+     */
+    announce(text, color = '#ffffff') {
+        this.announcements.push({ text, color, startTime: Date.now() });
+    }
+    
+    /**
+     * Flash the whole board
+     */
+    flash(color = '#ffffff') {
+        this.flashStart = Date.now();
+        this.flashColor = color;
+    }
+    
+    /**
+     * Draw the fading board flash
+     */
+    drawFlash() {
+        const elapsed = Date.now() - this.flashStart;
+        if (elapsed >= this.flashDuration) return;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.5 * (1 - elapsed / this.flashDuration);
+        this.ctx.fillStyle = this.flashColor;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw active callouts, fading out as they float upward
+     */
+    drawAnnouncements() {
+        const now = Date.now();
+        this.announcements = this.announcements.filter(
+            a => now - a.startTime < this.announcementDuration
+        );
+        if (this.announcements.length === 0) return;
+        
+        const ctx = this.ctx;
+        const fontSize = Math.max(Math.round(this.cellSize * 0.7), 12);
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `600 ${fontSize}px ${this.fontFamily}`;
+        
+        this.announcements.forEach((announcement, i) => {
+            const progress = (now - announcement.startTime) / this.announcementDuration;
+            const x = this.canvas.width / 2;
+            const y = this.canvas.height * 0.35 + i * fontSize * 1.4 - progress * this.cellSize;
+            
+            ctx.globalAlpha = 1 - progress * progress;
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            ctx.shadowBlur = 6;
+            ctx.fillStyle = announcement.color;
+            ctx.fillText(announcement.text, x, y);
+        });
+        
+        ctx.restore();
     }
     
     /**
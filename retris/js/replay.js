@@ -0,0 +1,231 @@
+// replay.js - Game Replay Recording and File Format
+
+const REPLAY_FORMAT = 'retris-replay';
+const REPLAY_VERSION = 1;
+
+// Input actions a replay can contain; the index is the action's id in the compact format
+const REPLAY_ACTIONS = [
+    ['moveLeft', null],
+    ['moveRight', null],
+    ['softDrop', null],
+    ['hardDrop', null],
+    ['hold', null],
+    ['rotate', 1],
+    ['rotate', -1],
+    ['rotate', 2],
+    ['initialHold', null],
+    ['initialRotate', 1],
+    ['initialRotate', -1],
+    ['initialRotate', 2]
+];
+
+// Actions applied as a piece spawns (IHS / IRS); playback reads them back at the spawn
+const INITIAL_ACTIONS = ['initialHold', 'initialRotate'];
+
+/**
+ * A recorded game: seed + ruleset + frame-stamped input stream
+ *
+ * JSON format (version 1):
+ * {
+ *   format: 'retris-replay', version: 1,
+ *   seed, ruleset: { randomizer, ... }, date,
+ *   result: { score, lines, level, frames, boardHash },
+ *   actions: [[frameDelta, action, arg], ...]
+ * }
+ * Frames count completed game ticks; deltas are relative to the previous action.
+ *
+ * Compact format: base64 of
+ *   [version byte][varint header length][header JSON (UTF-8)][varint action count]
+ *   then per action [varint frame delta][action id byte]
+ */
+class Replay {
+    constructor({ seed, ruleset = {}, actions = [], result = null, date = new Date().toISOString() }) {
+        this.seed = seed;
+        this.ruleset = ruleset;
+        this.actions = actions; // [{ frame, action, arg }] with absolute frames
+        this.result = result;
+        this.date = date;
+    }
+    
+    /**
+     * Record an input at the given frame (index places it before actions it caused)
+     */
+    record(frame, action, arg = null, index = this.actions.length) {
+        const takesArg = REPLAY_ACTIONS.some(([name, actionArg]) => name === action && actionArg !== null);
+        this.actions.splice(index, 0, { frame, action, arg: takesArg ? arg : null });
+    }
+    
+    /**
+     * Store the final state so playback can be verified
+     */
+    finish(result) {
+        this.result = result;
+    }
+    
+    /**
+     * Serialize to the versioned JSON format
+     */
+    toJSON() {
+        let lastFrame = 0;
+        const actions = this.actions.map(({ frame, action, arg }) => {
+            const entry = [frame - lastFrame, action];
+            if (arg !== null) entry.push(arg);
+            lastFrame = frame;
+            return entry;
+        });
+        
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            ruleset: this.ruleset,
+            date: this.date,
+            result: this.result,
+            actions
+        };
+    }
+    
+    /**
+     * Serialize to the compact base64 format
+     */
+    toBase64() {
+        const bytes = [REPLAY_VERSION];
+        const header = new TextEncoder().encode(JSON.stringify({
+            seed: this.seed,
+            ruleset: this.ruleset,
+            date: this.date,
+            result: this.result
+        }));
+        
+        Replay.writeVarint(bytes, header.length);
+        header.forEach(byte => bytes.push(byte));
+        Replay.writeVarint(bytes, this.actions.length);
+        
+        let lastFrame = 0;
+        for (const { frame, action, arg } of this.actions) {
+            Replay.writeVarint(bytes, frame - lastFrame);
+            bytes.push(Replay.getActionId(action, arg));
+            lastFrame = frame;
+        }
+        
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+    
+    /**
+     * Look up the compact id for an action
+     */
+    static getActionId(action, arg) {
+        const id = REPLAY_ACTIONS.findIndex(([name, actionArg]) => name === action && actionArg === arg);
+        if (id === -1) {
+            throw new Error(`Unknown replay action: ${action}`);
+        }
+        return id;
+    }
+    
+    /**
+     * Append an unsigned LEB128 varint
+     */
+    static writeVarint(bytes, value) {
+        do {
+            let byte = value & 0x7f;
+            value >>>= 7;
+            if (value > 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (value > 0);
+    }
+    
+    /**
+     * Read an unsigned LEB128 varint, returns [value, nextOffset]
+     */
+    static readVarint(bytes, offset) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length) {
+                throw new Error('Replay data is truncated');
+            }
+            byte = bytes[offset++];
+            value |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return [value >>> 0, offset];
+    }
+    
+    /**
+     * Load from the versioned JSON format
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a RETRIS replay');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        
+        let frame = 0;
+        const actions = (data.actions || []).map(([delta, action, arg = null]) => {
+            Replay.getActionId(action, arg); // Validates the action
+            frame += delta;
+            return { frame, action, arg };
+        });
+        
+        return new Replay({
+            seed: data.seed,
+            ruleset: data.ruleset || {},
+            actions,
+            result: data.result || null,
+            date: data.date
+        });
+    }
+    
+    /**
+     * Load from the compact base64 format
+     */
+    static fromBase64(text) {
+        const binary = atob(text.trim());
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        
+        if (bytes[0] !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${bytes[0]}`);
+        }
+        
+        let offset = 1;
+        let headerLength;
+        [headerLength, offset] = Replay.readVarint(bytes, offset);
+        const header = JSON.parse(new TextDecoder().decode(bytes.slice(offset, offset + headerLength)));
+        offset += headerLength;
+        
+        let count;
+        [count, offset] = Replay.readVarint(bytes, offset);
+        
+        const actions = [];
+        let frame = 0;
+        for (let i = 0; i < count; i++) {
+            let delta;
+            [delta, offset] = Replay.readVarint(bytes, offset);
+            const entry = REPLAY_ACTIONS[bytes[offset++]];
+            if (!entry) {
+                throw new Error('Replay contains an unknown action');
+            }
+            frame += delta;
+            actions.push({ frame, action: entry[0], arg: entry[1] });
+        }
+        
+        return new Replay({ ...header, actions });
+    }
+    
+    /**
+     * Load either format from text (file contents or a pasted code)
+     */
+    static parse(text) {
+        const trimmed = String(text).trim();
+        return trimmed.startsWith('{')
+            ? Replay.fromJSON(JSON.parse(trimmed))
+            : Replay.fromBase64(trimmed);
+    }
+}
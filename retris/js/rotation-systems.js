@@ -0,0 +1,186 @@
+// rotation-systems.js - Rotation System Strategies
+
+/**
+ * Base rotation system: decides a piece's rotation states, where it spawns
+ * and which offsets a rotation may try (kicks) before it fails
+ * Systems only replace the states of the standard set; other sets keep their own
+ */
+class RotationSystem {
+    constructor(name, states = {}) {
+        this.name = name;
+        this.states = states;
+    }
+    
+    /**
+     * Get the rotation states of a piece type in a set
+     */
+    getRotations(type, pieceSet) {
+        if (pieceSet === PIECE_SETS.standard && this.states[type]) {
+            return this.states[type];
+        }
+        return pieceSet.pieces[type].rotations;
+    }
+    
+    /**
+     * Get the spawn row: the bottom filled row of the first state sits in the lowest
+     * buffer row, so pieces spawn just above the visible field (guideline rows 21-22)
+     */
+    getSpawnY(type, pieceSet) {
+        const state = this.getRotations(type, pieceSet)[0];
+        let bottomRow = state.length - 1;
+        while (bottomRow > 0 && !state[bottomRow].some(Boolean)) {
+            bottomRow--;
+        }
+        return -1 - bottomRow;
+    }
+    
+    /**
+     * Get the [x, y] offsets to try, in order, for a rotation
+     */
+    getKicks(piece, fromRotation, toRotation, board) {
+        return [[0, 0]];
+    }
+}
+
+/**
+ * Super Rotation System: the piece set's own states and kick tables
+ */
+class SrsRotationSystem extends RotationSystem {
+    constructor() {
+        super('SRS');
+    }
+    
+    getKicks(piece, fromRotation, toRotation, board) {
+        const kickData = piece.pieceSet.kicks[piece.definition.kicks];
+        if (!kickData) return [[0, 0]];
+        
+        // Tables use the usual SRS notation where +y is up; board rows grow downward
+        const kicks = kickData[`${fromRotation}->${toRotation}`] || [[0, 0]];
+        return kicks.map(([x, y]) => [x, -y]);
+    }
+}
+
+/**
+ * Classic NES (Nintendo) rotation: right-handed states, J/L/T spawn flat side up,
+ * I/S/Z have two states, and a blocked rotation simply fails
+ */
+class NesRotationSystem extends RotationSystem {
+    constructor() {
+        super('Classic NES', {
+            I: [
+                parseShape(['....', '....', '####', '....']),
+                parseShape(['..#.', '..#.', '..#.', '..#.'])
+            ],
+            S: [
+                parseShape(['...', '.##', '##.']),
+                parseShape(['.#.', '.##', '..#'])
+            ],
+            Z: [
+                parseShape(['...', '##.', '.##']),
+                parseShape(['..#', '.##', '.#.'])
+            ],
+            T: [
+                parseShape(['...', '###', '.#.']),
+                parseShape(['.#.', '##.', '.#.']),
+                parseShape(['.#.', '###', '...']),
+                parseShape(['.#.', '.##', '.#.'])
+            ],
+            J: [
+                parseShape(['...', '###', '..#']),
+                parseShape(['.#.', '.#.', '##.']),
+                parseShape(['#..', '###', '...']),
+                parseShape(['.##', '.#.', '.#.'])
+            ],
+            L: [
+                parseShape(['...', '###', '#..']),
+                parseShape(['##.', '.#.', '.#.']),
+                parseShape(['..#', '###', '...']),
+                parseShape(['.#.', '.#.', '.##'])
+            ]
+        });
+    }
+}
+
+/**
+ * Arika Rotation System (TGM): bottom-aligned states, and a blocked rotation
+ * tries one step right, then one step left. I pieces never kick, and J/L/T
+ * don't kick when the first blocked cell (in reading order) is in the center column
+ */
+class ArsRotationSystem extends RotationSystem {
+    constructor() {
+        super('ARS', {
+            I: [
+                parseShape(['....', '####', '....', '....']),
+                parseShape(['..#.', '..#.', '..#.', '..#.'])
+            ],
+            S: [
+                parseShape(['...', '.##', '##.']),
+                parseShape(['#..', '##.', '.#.'])
+            ],
+            Z: [
+                parseShape(['...', '##.', '.##']),
+                parseShape(['..#', '.##', '.#.'])
+            ],
+            T: [
+                parseShape(['...', '###', '.#.']),
+                parseShape(['.#.', '##.', '.#.']),
+                parseShape(['...', '.#.', '###']),
+                parseShape(['.#.', '.##', '.#.'])
+            ],
+            J: [
+                parseShape(['...', '###', '..#']),
+                parseShape(['.#.', '.#.', '##.']),
+                parseShape(['...', '#..', '###']),
+                parseShape(['.##', '.#.', '.#.'])
+            ],
+            L: [
+                parseShape(['...', '###', '#..']),
+                parseShape(['##.', '.#.', '.#.']),
+                parseShape(['...', '..#', '###']),
+                parseShape(['.#.', '.#.', '.##'])
+            ]
+        });
+    }
+    
+    getKicks(piece, fromRotation, toRotation, board) {
+        const isStandard = piece.pieceSet === PIECE_SETS.standard;
+        if (isStandard && piece.type === 'I') return [[0, 0]];
+        if (isStandard && ['J', 'L', 'T'].includes(piece.type) &&
+            this.isCenterColumnBlocked(piece, toRotation, board)) {
+            return [[0, 0]];
+        }
+        return [[0, 0], [1, 0], [-1, 0]];
+    }
+    
+    /**
+     * Check whether the first cell of the new state that collides
+     * (scanning rows top to bottom, left to right) is in the center column
+     */
+    isCenterColumnBlocked(piece, toRotation, board) {
+        const shape = piece.rotations[toRotation];
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col] && board.isCellOccupied(piece.x + col, piece.y + row)) {
+                    return col === 1;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+/**
+ * Available rotation systems, keyed by the id stored in settings and replays
+ */
+const ROTATION_SYSTEMS = {
+    srs: new SrsRotationSystem(),
+    nes: new NesRotationSystem(),
+    ars: new ArsRotationSystem()
+};
+
+/**
+ * Get a rotation system by id (falls back to SRS)
+ */
+function getRotationSystem(id) {
+    return ROTATION_SYSTEMS[id] || ROTATION_SYSTEMS.srs;
+}
@@ -4,6 +4,29 @@ class Storage {
     constructor() {
         this.STORAGE_KEY = 'retris_highscores';
         this.INSTRUCTIONS_KEY = 'retris_instructions_shown';
+        this.SETTINGS_KEY = 'retris_settings';
+        this.REPLAYS_KEY = 'retris_replays';
+        this.SPRINT_KEY = 'retris_sprint_times';
+        this.ULTRA_KEY = 'retris_ultra_scores';
+        this.DIG_KEY = 'retris_dig_times';
+        this.PUZZLES_KEY = 'retris_puzzles';
+        this.DEFAULT_SETTINGS = {
+            previewCount: 3,
+            rotate180: 'on',
+            initialActions: 'off',
+            randomizer: 'bag7',
+            mode: 'marathon',
+            sprintLines: 40,
+            ultraMinutes: 2,
+            startLevel: 1,
+            digRows: 10,
+            visibility: 'visible',
+            boardWidth: 10,
+            boardHeight: 20,
+            pieceSet: 'standard',
+            rotationSystem: 'srs',
+            aiSpeed: 'normal'
+        };
         this.profanityFilter = new ProfanityFilter();
     }
     
@@ -22,8 +45,10 @@ class Storage {
     
     /**
      * Save a new score
+     * details holds extra game info stored with the entry (e.g. seed)
+     * replay (a Replay) is kept alongside the entry while it stays in the top 10
      */
-    saveScore(name, score, level) {
+    saveScore(name, score, level, details = {}, replay = null) {
         // Filter offensive words - replaces them with asterisks instead of rejecting
         const sanitizedName = this.profanityFilter.sanitizeName(name);
         
@@ -35,6 +60,7 @@ class Storage {
             name: finalName,
             score,
             level,
+            ...details,
             date: new Date().toISOString()
         };
         
@@ -51,9 +77,214 @@ class Storage {
             console.warn('Could not save to localStorage:', e);
         }
         
+        if (replay && topScores.includes(newScore)) {
+            this.storeReplay(newScore.id, replay);
+        }
+        this.pruneReplays();
+        
         return topScores;
     }
     
+    /**
+     * Get one board from a set of boards stored under one key
+     * (sprint boards are keyed by line goal, ultra boards by time limit)
+     */
+    getBoard(key, board) {
+        try {
+            const data = localStorage.getItem(key);
+            const boards = data ? JSON.parse(data) : {};
+            return boards[board] || [];
+        } catch (e) {
+            console.warn('Could not read leaderboard:', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Add an entry to a board, keeping the top 10 by compare
+     * Returns the saved board
+     */
+    saveBoardEntry(key, board, entry, compare, replay = null) {
+        const entries = this.getBoard(key, board);
+        entries.push(entry);
+        entries.sort(compare);
+        const topEntries = entries.slice(0, 10);
+        
+        try {
+            const data = localStorage.getItem(key);
+            const boards = data ? JSON.parse(data) : {};
+            boards[board] = topEntries;
+            localStorage.setItem(key, JSON.stringify(boards));
+        } catch (e) {
+            console.warn('Could not save leaderboard:', e);
+        }
+        
+        if (replay && topEntries.includes(entry)) {
+            this.storeReplay(entry.id, replay);
+        }
+        this.pruneReplays();
+        
+        return topEntries;
+    }
+    
+    /**
+     * Build a leaderboard entry with a filtered display name
+     */
+    createEntry(name, fields) {
+        const sanitizedName = this.profanityFilter.sanitizeName(name);
+        const finalName = sanitize(sanitizedName.slice(0, 12)) || 'Player';
+        
+        return {
+            id: generateId(),
+            name: finalName,
+            ...fields,
+            date: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Get sprint results for a line goal, fastest first
+     */
+    getSprintTimes(lines) {
+        return this.getBoard(this.SPRINT_KEY, lines);
+    }
+    
+    /**
+     * Save a sprint result (ranked by time, top 10 per line goal)
+     */
+    saveSprintTime(name, lines, time, details = {}, replay = null) {
+        const entry = this.createEntry(name, { lines, time, ...details });
+        return this.saveBoardEntry(this.SPRINT_KEY, lines, entry, (a, b) => a.time - b.time, replay);
+    }
+    
+    /**
+     * Check if a sprint time makes the top 10 for its line goal
+     */
+    isSprintRecord(lines, time) {
+        const times = this.getSprintTimes(lines);
+        if (times.length < 10) return true;
+        return time < times[times.length - 1].time;
+    }
+    
+    /**
+     * Get ultra scores for a time limit (ms), highest first
+     */
+    getUltraScores(timeLimit) {
+        return this.getBoard(this.ULTRA_KEY, timeLimit);
+    }
+    
+    /**
+     * Save an ultra score (ranked by score, top 10 per time limit)
+     */
+    saveUltraScore(name, timeLimit, score, details = {}, replay = null) {
+        const entry = this.createEntry(name, { timeLimit, score, ...details });
+        return this.saveBoardEntry(this.ULTRA_KEY, timeLimit, entry, (a, b) => b.score - a.score, replay);
+    }
+    
+    /**
+     * Get dig results for a garbage row count, fastest (then fewest pieces) first
+     */
+    getDigTimes(rows) {
+        return this.getBoard(this.DIG_KEY, rows);
+    }
+    
+    /**
+     * Save a dig result (ranked by time, ties by pieces, top 10 per row count)
+     */
+    saveDigTime(name, rows, time, pieces, details = {}, replay = null) {
+        const entry = this.createEntry(name, { rows, time, pieces, ...details });
+        const compare = (a, b) => a.time - b.time || a.pieces - b.pieces;
+        return this.saveBoardEntry(this.DIG_KEY, rows, entry, compare, replay);
+    }
+    
+    /**
+     * Check if a dig result makes the top 10 for its row count
+     */
+    isDigRecord(rows, time, pieces) {
+        const times = this.getDigTimes(rows);
+        if (times.length < 10) return true;
+        const last = times[times.length - 1];
+        return time < last.time || (time === last.time && pieces < last.pieces);
+    }
+    
+    /**
+     * Get the ids of every leaderboard entry (the entries replays can belong to)
+     */
+    getEntryIds() {
+        const ids = this.getScores().map(entry => entry.id);
+        [this.SPRINT_KEY, this.ULTRA_KEY, this.DIG_KEY].forEach(key => {
+            try {
+                const boards = JSON.parse(localStorage.getItem(key)) || {};
+                Object.values(boards).forEach(entries => {
+                    entries.forEach(entry => ids.push(entry.id));
+                });
+            } catch (e) {
+                console.warn('Could not read leaderboard:', e);
+            }
+        });
+        return ids;
+    }
+    
+    /**
+     * Store a replay next to its leaderboard entry
+     */
+    storeReplay(entryId, replay) {
+        const replays = this.getReplays();
+        replays[entryId] = replay.toBase64();
+        this.saveReplays(replays);
+    }
+    
+    /**
+     * Drop replays of entries that fell off every leaderboard
+     */
+    pruneReplays() {
+        const replays = this.getReplays();
+        const kept = {};
+        this.getEntryIds().forEach(id => {
+            if (replays[id]) kept[id] = replays[id];
+        });
+        this.saveReplays(kept);
+    }
+    
+    /**
+     * Get stored replays as { scoreId: compact replay }
+     */
+    getReplays() {
+        try {
+            const data = localStorage.getItem(this.REPLAYS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.warn('Could not read replays:', e);
+            return {};
+        }
+    }
+    
+    /**
+     * Save the replay map
+     */
+    saveReplays(replays) {
+        try {
+            localStorage.setItem(this.REPLAYS_KEY, JSON.stringify(replays));
+        } catch (e) {
+            console.warn('Could not save replays:', e);
+        }
+    }
+    
+    /**
+     * Get the replay recorded with a high score entry (null if none)
+     */
+    getReplay(scoreId) {
+        const data = this.getReplays()[scoreId];
+        if (!data) return null;
+        
+        try {
+            return Replay.fromBase64(data);
+        } catch (e) {
+            console.warn('Could not load replay:', e);
+            return null;
+        }
+    }
+    
     /**
      * Check if a score qualifies for the high score list
      */
@@ -82,6 +313,10 @@ class Storage {
     clearScores() {
         try {
             localStorage.removeItem(this.STORAGE_KEY);
+            localStorage.removeItem(this.SPRINT_KEY);
+            localStorage.removeItem(this.ULTRA_KEY);
+            localStorage.removeItem(this.DIG_KEY);
+            localStorage.removeItem(this.REPLAYS_KEY);
         } catch (e) {
             console.warn('Could not clear localStorage:', e);
         }
@@ -95,6 +330,42 @@ class Storage {
         return scores.length > 0 ? scores[0].score : 0;
     }
     
+    /**
+     * Get solved puzzles as { 'packId/puzzleId': { date } }
+     */
+    getPuzzleProgress() {
+        try {
+            const data = localStorage.getItem(this.PUZZLES_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.warn('Could not read puzzle progress:', e);
+            return {};
+        }
+    }
+    
+    /**
+     * Check if a puzzle has been solved
+     */
+    isPuzzleSolved(packId, puzzleId) {
+        return Boolean(this.getPuzzleProgress()[`${packId}/${puzzleId}`]);
+    }
+    
+    /**
+     * Record a solved puzzle (the first solve date is kept)
+     */
+    markPuzzleSolved(packId, puzzleId) {
+        const progress = this.getPuzzleProgress();
+        const key = `${packId}/${puzzleId}`;
+        if (progress[key]) return;
+        
+        progress[key] = { date: new Date().toISOString() };
+        try {
+            localStorage.setItem(this.PUZZLES_KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.warn('Could not save puzzle progress:', e);
+        }
+    }
+    
     /**
      * Check if instructions have been shown
      */
@@ -116,5 +387,28 @@ class Storage {
             console.warn('Could not save instructions status:', e);
         }
     }
+    
+    /**
+     * Get player settings (missing keys fall back to defaults)
+     */
+    getSettings() {
+        try {
+            const data = localStorage.getItem(this.SETTINGS_KEY);
+            return { ...this.DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+        } catch (e) {
+            console.warn('Could not read settings:', e);
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    }
+    
+    /**
+     * Save player settings
+     */
+    saveSettings(settings) {
+        try {
+            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
 }
-
@@ -1,9 +1,16 @@
 // tetromino.js - Tetromino Definitions and Rotation
 
+/**
+ * Standard piece definitions
+ * kicks: key into the set's kick tables (none = rotate in place only)
+ * spawnX: offset from the centered spawn column
+ * tSpin: piece is checked for T-spins
+ */
 const TETROMINOES = {
     I: {
         color: '#00d4d4',
         colorName: 'cyan',
+        kicks: 'I',
         rotations: [
             [[0,0,0,0],[1,1,1,1],[0,0,0,0],[0,0,0,0]],
             [[0,0,1,0],[0,0,1,0],[0,0,1,0],[0,0,1,0]],
@@ -21,6 +28,8 @@ const TETROMINOES = {
     T: {
         color: '#8833cc',
         colorName: 'purple',
+        kicks: 'JLSTZ',
+        tSpin: true,
         rotations: [
             [[0,1,0],[1,1,1],[0,0,0]],
             [[0,1,0],[0,1,1],[0,1,0]],
@@ -31,6 +40,7 @@ const TETROMINOES = {
     S: {
         color: '#00cc44',
         colorName: 'green',
+        kicks: 'JLSTZ',
         rotations: [
             [[0,1,1],[1,1,0],[0,0,0]],
             [[0,1,0],[0,1,1],[0,0,1]],
@@ -41,6 +51,7 @@ const TETROMINOES = {
     Z: {
         color: '#cc3333',
         colorName: 'red',
+        kicks: 'JLSTZ',
         rotations: [
             [[1,1,0],[0,1,1],[0,0,0]],
             [[0,0,1],[0,1,1],[0,1,0]],
@@ -51,6 +62,7 @@ const TETROMINOES = {
     J: {
         color: '#3366cc',
         colorName: 'blue',
+        kicks: 'JLSTZ',
         rotations: [
             [[1,0,0],[1,1,1],[0,0,0]],
             [[0,1,1],[0,1,0],[0,1,0]],
@@ -61,6 +73,7 @@ const TETROMINOES = {
     L: {
         color: '#cc6600',
         colorName: 'orange',
+        kicks: 'JLSTZ',
         rotations: [
             [[0,0,1],[1,1,1],[0,0,0]],
             [[0,1,0],[0,1,0],[0,1,1]],
@@ -77,10 +90,15 @@ const WALL_KICKS = {
         '1->2': [[0,0], [1,0], [1,-1], [0,2], [1,2]],
         '2->3': [[0,0], [1,0], [1,1], [0,-2], [1,-2]],
         '3->0': [[0,0], [-1,0], [-1,-1], [0,2], [-1,2]],
-        '1->0': [[0,0], [1,0], [1,1], [0,-2], [1,-2]],
-        '2->1': [[0,0], [-1,0], [-1,-1], [0,2], [-1,2]],
-        '3->2': [[0,0], [-1,0], [-1,1], [0,-2], [-1,-2]],
-        '0->3': [[0,0], [1,0], [1,-1], [0,2], [1,2]]
+        '1->0': [[0,0], [1,0], [1,-1], [0,2], [1,2]],
+        '2->1': [[0,0], [-1,0], [-1,1], [0,-2], [-1,-2]],
+        '3->2': [[0,0], [-1,0], [-1,-1], [0,2], [-1,2]],
+        '0->3': [[0,0], [1,0], [1,1], [0,-2], [1,-2]],
+        // 180° rotations
+        '0->2': [[0,0], [0,1], [1,1], [-1,1], [1,0], [-1,0]],
+        '1->3': [[0,0], [1,0], [1,2], [1,1], [0,2], [0,1]],
+        '2->0': [[0,0], [0,-1], [-1,-1], [1,-1], [-1,0], [1,0]],
+        '3->1': [[0,0], [-1,0], [-1,2], [-1,1], [0,2], [0,1]]
     },
     'I': {
         '0->1': [[0,0], [-2,0], [1,0], [-2,-1], [1,2]],
@@ -90,51 +108,56 @@ const WALL_KICKS = {
         '1->0': [[0,0], [2,0], [-1,0], [2,1], [-1,-2]],
         '2->1': [[0,0], [1,0], [-2,0], [1,-2], [-2,1]],
         '3->2': [[0,0], [-2,0], [1,0], [-2,-1], [1,2]],
-        '0->3': [[0,0], [-1,0], [2,0], [-1,2], [2,-1]]
+        '0->3': [[0,0], [-1,0], [2,0], [-1,2], [2,-1]],
+        // 180° rotations
+        '0->2': [[0,0], [0,1]],
+        '1->3': [[0,0], [1,0]],
+        '2->0': [[0,0], [0,-1]],
+        '3->1': [[0,0], [-1,0]]
     }
 };
 
 class Tetromino {
-    constructor(type) {
+    constructor(type, boardWidth = 10, pieceSet = PIECE_SETS.standard, rotationSystem = ROTATION_SYSTEMS.srs) {
+        const definition = pieceSet.pieces[type];
+        
         this.type = type;
+        this.pieceSet = pieceSet;
+        this.rotationSystem = rotationSystem;
+        this.definition = definition;
+        this.rotations = rotationSystem.getRotations(type, pieceSet);
         this.rotationIndex = 0;
-        this.shape = deepClone(TETROMINOES[type].rotations[0]);
-        this.color = TETROMINOES[type].color;
-        this.colorName = TETROMINOES[type].colorName;
+        this.shape = deepClone(this.rotations[0]);
+        this.color = definition.color;
+        this.colorName = definition.colorName;
         
-        // Starting position (centered at top)
-        this.x = type === 'O' ? 4 : 3;
-        this.y = type === 'I' ? -1 : 0;
+        // Starting position (centered at top, rounding left: x = 3, or 4 for O, on a 10-wide board)
+        this.x = Math.floor((boardWidth - this.shape[0].length) / 2) + (definition.spawnX || 0);
+        this.y = rotationSystem.getSpawnY(type, pieceSet);
     }
     
     /**
      * Get the shape for a specific rotation
      */
     getRotation(index) {
-        const rotations = TETROMINOES[this.type].rotations;
-        return rotations[index % rotations.length];
+        return this.rotations[index % this.rotations.length];
     }
     
     /**
      * Rotate the tetromino
      */
     rotate(direction = 1) {
-        const rotations = TETROMINOES[this.type].rotations;
-        const newIndex = (this.rotationIndex + direction + rotations.length) % rotations.length;
+        const newIndex = (this.rotationIndex + direction + this.rotations.length) % this.rotations.length;
         this.rotationIndex = newIndex;
-        this.shape = deepClone(rotations[newIndex]);
+        this.shape = deepClone(this.rotations[newIndex]);
     }
     
     /**
-     * Get wall kicks for a rotation attempt
+     * Get wall kicks for a rotation attempt (decided by the rotation system;
+     * some systems look at the board around the piece)
      */
-    getWallKicks(fromRotation, toRotation) {
-        // O piece doesn't need wall kicks
-        if (this.type === 'O') return [[0, 0]];
-        
-        const kickData = this.type === 'I' ? WALL_KICKS['I'] : WALL_KICKS['JLSTZ'];
-        const key = `${fromRotation}->${toRotation}`;
-        return kickData[key] || [[0, 0]];
+    getWallKicks(fromRotation, toRotation, board = null) {
+        return this.rotationSystem.getKicks(this, fromRotation, toRotation, board);
     }
     
     /**
@@ -158,46 +181,3 @@ class Tetromino {
         return { minX, maxX, minY, maxY };
     }
 }
-
-/**
- * Bag randomizer for fair piece distribution
- */
-class BagRandomizer {
-    constructor() {
-        this.bag = [];
-        this.refillBag();
-    }
-    
-    refillBag() {
-        this.bag = Object.keys(TETROMINOES);
-        // Fisher-Yates shuffle
-        for (let i = this.bag.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
-        }
-    }
-    
-    next() {
-        if (this.bag.length === 0) {
-            this.refillBag();
-        }
-        return this.bag.pop();
-    }
-    
-    peek() {
-        if (this.bag.length === 0) {
-            this.refillBag();
-        }
-        return this.bag[this.bag.length - 1];
-    }
-}
-
-/**
- * Get a random tetromino (simple version without bag)
- */
-function getRandomTetromino() {
-    const types = Object.keys(TETROMINOES);
-    const randomType = types[Math.floor(Math.random() * types.length)];
-    return new Tetromino(randomType);
-}
-
@@ -14,6 +14,17 @@ function formatNumber(num) {
     return num.toLocaleString();
 }
 
+/**
+ * Format milliseconds as a race time, e.g. 1:23.456
+ */
+function formatTime(ms) {
+    const totalMs = Math.max(0, Math.floor(ms));
+    const minutes = Math.floor(totalMs / 60000);
+    const seconds = Math.floor(totalMs / 1000) % 60;
+    const millis = totalMs % 1000;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
 /**
  * Get a random integer between min (inclusive) and max (exclusive)
  */
@@ -78,6 +89,47 @@ function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Generate a short random seed string for piece sequences
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 0x7fffffff).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+}
+
+/**
+ * Hash a seed string into a 32-bit integer (FNV-1a)
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const str = String(seed);
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * Returns a function producing floats in [0, 1) like Math.random;
+ * getState() / setState() save and restore its position in the sequence
+ */
+function createRng(seed) {
+    let state = hashSeed(seed);
+    const random = function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value;
+    };
+    return random;
+}
+
 /**
  * Sanitize a string for display (prevent XSS)
  */
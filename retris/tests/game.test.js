@@ -0,0 +1,117 @@
+// game.test.js - Game rules that depend on how pieces move
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { Game } = loadScripts([
+    'utils.js', 'storage.js', 'tetromino.js', 'piece-sets.js', 'rotation-systems.js', 'randomizer.js',
+    'replay.js', 'board.js', 'game.js'
+]);
+
+/**
+ * Start a game with a T to play, on a field of rows resting on the floor ('X' filled)
+ */
+function startGame(field, options = {}) {
+    const game = new Game();
+    game.start({ seed: 'test', ...options });
+    const board = game.board;
+    field.forEach((row, i) => {
+        [...row].forEach((char, x) => {
+            if (char === 'X') board.grid[board.height - field.length + i][x] = board.createCell('#888888');
+        });
+    });
+    game.currentPiece = game.createPiece('T');
+    return game;
+}
+
+test('the T-spin triple slot uses the fifth SRS kick and scores a full T-spin', () => {
+    const game = startGame([
+        '...XXXXXXX',
+        '....XXXXXX',
+        'XXX.XXXXXX',
+        'XX..XXXXXX',
+        'XXX.XXXXXX'
+    ]);
+    
+    ['moveLeft', 'moveLeft', 'moveLeft'].forEach(action => game[action]());
+    while (game.moveDown()) {
+        // Slide down to the overhang
+    }
+    game.moveRight();
+    assert.ok(game.rotate(-1));
+    assert.equal(game.lastKickIndex, 4);
+    assert.equal(game.getTSpinType(), 'full');
+    
+    game.hardDrop();
+    assert.equal(game.lines, 3);
+});
+
+// A T pointing up against the left wall with one of its front corners filled: a mini,
+// unless the rotation that put it there was a TST kick
+// [system, rotation direction, kick index, expected]
+const KICK_UPGRADES = [
+    ['srs', 1, 4, 'full'],
+    ['srs', -1, 4, 'full'],
+    ['srs', 2, 4, 'mini'],
+    ['srs', 1, 3, 'mini'],
+    ['srs', -1, 0, 'mini'],
+    ['ars', 1, 4, 'mini'],
+    ['nes', -1, 4, 'mini']
+];
+
+for (const [system, direction, kickIndex, expected] of KICK_UPGRADES) {
+    test(`${system} rotation ${direction} with kick ${kickIndex} gives a ${expected} T-spin`, () => {
+        const game = startGame(['X.........', '..........'], { rotationSystem: system });
+        // Systems disagree on which state points up, so set the shape directly
+        const piece = game.currentPiece;
+        piece.shape = [[0, 1, 0], [1, 1, 1], [0, 0, 0]];
+        piece.x = 0;
+        piece.y = game.board.height - 2;
+        assert.ok(game.board.isValidPosition(piece));
+        
+        Object.assign(game, {
+            lastActionWasRotation: true,
+            lastKickIndex: kickIndex,
+            lastRotationDirection: direction,
+            lastRotationSystem: system
+        });
+        assert.equal(game.getTSpinType(), expected);
+    });
+}
+
+// [name, field rows of 'XXXXXXXXX.' (no line clears), columns to move the T before
+// the hard drop, end reason]
+const TOP_OUTS = [
+    ['a piece that locks entirely above the field locks out', 20, 0, 'lockout'],
+    ['a piece that locks partly in the field doesn\'t lock out', 19, -3, null],
+    ['a piece that spawns overlapping the stack blocks out', 19, 0, 'blockout']
+];
+
+for (const [name, height, shift, expected] of TOP_OUTS) {
+    test(name, () => {
+        const game = startGame(Array(height).fill('XXXXXXXXX.'));
+        game.nextQueue[0] = game.createPiece('T');
+        for (let i = 0; i < Math.abs(shift); i++) {
+            assert.ok(shift < 0 ? game.moveLeft() : game.moveRight());
+        }
+        game.hardDrop();
+        assert.equal(game.endReason, expected);
+        assert.equal(game.state, expected ? 'gameover' : 'playing');
+    });
+}
+
+test('spinning a T on the floor can\'t stall the lock once the resets are used up', () => {
+    const game = startGame([]);
+    while (game.moveDown()) {
+        // Land on the floor
+    }
+    
+    // 15 resets of a 30-tick lock delay run out long before this
+    for (let frame = 0; frame < 3600 && game.piecesPlaced === 0; frame++) {
+        if (frame % 5 === 0) game.rotate(1);
+        game.tick();
+    }
+    assert.equal(game.piecesPlaced, 1);
+    assert.equal(game.lockResets, 0, 'the next piece starts with fresh resets');
+});
@@ -0,0 +1,25 @@
+// load-scripts.js - Load game scripts into a sandbox for tests
+//
+// The game is plain browser scripts sharing one global scope, so tests run
+// them the same way: concatenated, in index.html order, inside a vm context.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Run scripts (names in js/) and return their top-level classes, functions and constants
+ */
+function loadScripts(files) {
+    const source = files.map(file => fs.readFileSync(path.join(JS_DIR, file), 'utf8')).join('\n;\n');
+    
+    // Top-level class and const declarations don't become globals, so export them by name
+    const names = [...source.matchAll(/^(?:class|function|const|let)\s+([A-Za-z_$][\w$]*)/gm)].map(match => match[1]);
+    const context = vm.createContext({ console });
+    vm.runInContext(`${source}\n;globalThis.__exports = { ${names.join(', ')} };`, context);
+    return context.__exports;
+}
+
+module.exports = { loadScripts };
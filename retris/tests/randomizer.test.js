@@ -0,0 +1,121 @@
+// randomizer.test.js - Seeded distribution tests for each randomizer
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { TETROMINOES, RANDOMIZERS, createRandomizer } = loadScripts(['utils.js', 'tetromino.js', 'randomizer.js']);
+
+const PIECES = Object.keys(TETROMINOES);
+const SAMPLE_SIZE = 70000;
+
+/**
+ * Draw pieces from a fresh randomizer
+ */
+function draw(type, seed, count = SAMPLE_SIZE) {
+    const randomizer = createRandomizer(type, seed);
+    return Array.from({ length: count }, () => randomizer.next());
+}
+
+/**
+ * Share of pieces that repeat the piece before them
+ */
+function getRepeatRate(pieces) {
+    let repeats = 0;
+    for (let i = 1; i < pieces.length; i++) {
+        if (pieces[i] === pieces[i - 1]) repeats++;
+    }
+    return repeats / (pieces.length - 1);
+}
+
+/**
+ * Count each piece type
+ */
+function countPieces(pieces) {
+    const counts = Object.fromEntries(PIECES.map(type => [type, 0]));
+    pieces.forEach(type => counts[type]++);
+    return counts;
+}
+
+/**
+ * Assert that a rate is within a tolerance of an expected value
+ */
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${label}: ${actual.toFixed(4)} is not within ${tolerance} of ${expected.toFixed(4)}`);
+}
+
+for (const [type, copies] of [['bag7', 1], ['bag14', 2]]) {
+    test(`${type}: every bag-sized window is a complete set`, () => {
+        const size = PIECES.length * copies;
+        const expected = PIECES.flatMap(piece => Array(copies).fill(piece)).sort();
+        for (const seed of ['alpha', 'beta', 'gamma']) {
+            const pieces = draw(type, seed, size * 500);
+            for (let start = 0; start < pieces.length; start += size) {
+                assert.deepEqual(pieces.slice(start, start + size).sort(), expected, `${seed} window at ${start}`);
+            }
+        }
+    });
+}
+
+test('bag7: peek shows the pieces next() hands out', () => {
+    const randomizer = createRandomizer('bag7', 'peek');
+    const peeked = Array.from({ length: 20 }, (_, i) => randomizer.peek(i));
+    const drawn = Array.from({ length: 20 }, () => randomizer.next());
+    assert.deepEqual(drawn, peeked);
+});
+
+test('random: pieces are uniform and repeat about 1/7 of the time', () => {
+    const pieces = draw('random', 'uniform');
+    const counts = countPieces(pieces);
+    PIECES.forEach(type => assertNear(counts[type] / pieces.length, 1 / 7, 0.01, type));
+    assertNear(getRepeatRate(pieces), 1 / 7, 0.01, 'repeat rate');
+});
+
+test('nes: a repeat needs a reroll that lands on the same piece (2/8 x 1/7 = 1/28)', () => {
+    const pieces = draw('nes', 'nes');
+    assertNear(getRepeatRate(pieces), 1 / 28, 0.005, 'repeat rate');
+    const counts = countPieces(pieces);
+    PIECES.forEach(type => assertNear(counts[type] / pieces.length, 1 / 7, 0.01, type));
+});
+
+test('tgm: the 4-piece history cuts repeats', () => {
+    const pieces = draw('tgm', 'tgm');
+    // A piece can only match the history when all 6 rolls hit it: at most (4/7)^6
+    let inHistory = 0;
+    for (let i = 4; i < pieces.length; i++) {
+        if (pieces.slice(i - 4, i).includes(pieces[i])) inHistory++;
+    }
+    assert.ok(inHistory / (pieces.length - 4) <= Math.pow(4 / 7, 6) + 0.005,
+        `history hit rate ${(inHistory / (pieces.length - 4)).toFixed(4)}`);
+    assert.ok(getRepeatRate(pieces) < 0.02, `repeat rate ${getRepeatRate(pieces).toFixed(4)}`);
+    const counts = countPieces(pieces);
+    PIECES.forEach(type => assertNear(counts[type] / pieces.length, 1 / 7, 0.01, type));
+});
+
+test('tgm: the first piece is never S, Z or O', () => {
+    for (let i = 0; i < 500; i++) {
+        assert.ok(!['S', 'Z', 'O'].includes(draw('tgm', `first-${i}`, 1)[0]));
+    }
+});
+
+for (const type of Object.keys(RANDOMIZERS)) {
+    test(`${type}: getState/setState round-trips`, () => {
+        const randomizer = createRandomizer(type, 'saved');
+        for (let i = 0; i < 10; i++) randomizer.next();
+        
+        // A detached copy, so nothing is shared with the randomizer that keeps drawing
+        const state = JSON.parse(JSON.stringify(randomizer.getState()));
+        const expected = Array.from({ length: 50 }, () => randomizer.next());
+        
+        const restored = createRandomizer(type, 'other');
+        restored.setState(state);
+        assert.deepEqual(Array.from({ length: 50 }, () => restored.next()), expected);
+    });
+}
+
+test('the same seed gives the same pieces', () => {
+    for (const type of Object.keys(RANDOMIZERS)) {
+        assert.deepEqual(draw(type, 'repeat', 200), draw(type, 'repeat', 200), type);
+    }
+});
@@ -0,0 +1,150 @@
+// rotation-systems.test.js - Kick tables and kick behaviour of each rotation system
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const {
+    Board, Tetromino, PIECE_SETS, ROTATION_SYSTEMS
+} = loadScripts(['utils.js', 'tetromino.js', 'piece-sets.js', 'rotation-systems.js', 'board.js']);
+
+/**
+ * Copy a value made in the sandbox into plain test-side objects (-0 becomes 0)
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a 10x20 board from rows resting on the floor ('#' filled, '.' empty)
+ */
+function createBoard(rows = []) {
+    const board = new Board(10, 20);
+    rows.forEach((row, i) => {
+        [...row].forEach((char, x) => {
+            if (char === '#') board.grid[board.height - rows.length + i][x] = board.createCell('#888');
+        });
+    });
+    return board;
+}
+
+/**
+ * Create a piece of a rotation system at a position and state
+ */
+function createPiece(system, type, { x, y, rotationIndex }) {
+    const piece = new Tetromino(type, 10, PIECE_SETS.standard, ROTATION_SYSTEMS[system]);
+    piece.x = x;
+    piece.y = y;
+    piece.rotationIndex = rotationIndex;
+    piece.shape = piece.rotations[rotationIndex];
+    return piece;
+}
+
+/**
+ * Rotate like Game.rotate(): the first kick that fits wins
+ * Returns where the piece ends up, or null if the rotation fails
+ */
+function rotate(board, piece, direction) {
+    const from = piece.rotationIndex;
+    const to = (from + direction + piece.rotations.length) % piece.rotations.length;
+    for (const [kickX, kickY] of piece.getWallKicks(from, to, board)) {
+        if (board.isValidRotation(piece, to, kickX, kickY)) {
+            return { x: piece.x + kickX, y: piece.y + kickY, rotationIndex: to };
+        }
+    }
+    return null;
+}
+
+// Kicks in board rows (+y down), from the guideline tables (which are +y up)
+const SRS_KICKS = [
+    ['T', '0->1', [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]]],
+    ['T', '1->0', [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]],
+    ['T', '1->2', [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]],
+    ['T', '2->1', [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]]],
+    ['T', '2->3', [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]]],
+    ['T', '3->2', [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]]],
+    ['T', '3->0', [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]]],
+    ['T', '0->3', [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]]],
+    ['I', '0->1', [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]]],
+    ['I', '1->0', [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]]],
+    ['I', '1->2', [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]]],
+    ['I', '2->1', [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]]],
+    ['I', '2->3', [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]]],
+    ['I', '3->2', [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]]],
+    ['I', '3->0', [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]]],
+    ['I', '0->3', [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]]],
+    ['T', '0->2', [[0, 0], [0, -1], [1, -1], [-1, -1], [1, 0], [-1, 0]]],
+    ['T', '2->0', [[0, 0], [0, 1], [-1, 1], [1, 1], [-1, 0], [1, 0]]],
+    ['I', '0->2', [[0, 0], [0, -1]]],
+    ['I', '1->3', [[0, 0], [1, 0]]],
+    ['O', '0->1', [[0, 0]]]
+];
+
+for (const [type, rotation, expected] of SRS_KICKS) {
+    test(`SRS ${type} ${rotation} kicks`, () => {
+        const [from, to] = rotation.split('->').map(Number);
+        const piece = createPiece('srs', type, { x: 3, y: 0, rotationIndex: from });
+        assert.deepEqual(plain(piece.getWallKicks(from, to, createBoard())), expected);
+    });
+}
+
+test('NES never kicks', () => {
+    for (const type of ['I', 'O', 'T', 'S', 'Z', 'J', 'L']) {
+        const piece = createPiece('nes', type, { x: 3, y: 0, rotationIndex: 0 });
+        assert.deepEqual(plain(piece.getWallKicks(0, 1 % piece.rotations.length, createBoard())), [[0, 0]]);
+    }
+});
+
+// [name, system, type, board rows, start, direction, expected end (null = rotation fails)]
+const ROTATIONS = [
+    ['SRS T turns right off the floor with an upward kick', 'srs', 'T', [],
+        { x: 3, y: 18, rotationIndex: 0 }, 1, { x: 2, y: 17, rotationIndex: 1 }],
+    ['SRS T turns left off the floor with an upward kick', 'srs', 'T', [],
+        { x: 3, y: 18, rotationIndex: 0 }, -1, { x: 4, y: 17, rotationIndex: 3 }],
+    ['SRS T turns 180 off the floor with an upward kick', 'srs', 'T', [],
+        { x: 3, y: 18, rotationIndex: 0 }, 2, { x: 3, y: 17, rotationIndex: 2 }],
+    ['SRS T kicks off the left wall', 'srs', 'T', [],
+        { x: -1, y: 5, rotationIndex: 1 }, 1, { x: 0, y: 5, rotationIndex: 2 }],
+    ['SRS I kicks off the right wall', 'srs', 'I', [],
+        { x: 7, y: 5, rotationIndex: 1 }, 1, { x: 6, y: 5, rotationIndex: 2 }],
+    ['SRS I stands up on the floor with an upward kick', 'srs', 'I', [],
+        { x: 3, y: 18, rotationIndex: 0 }, 1, { x: 4, y: 16, rotationIndex: 1 }],
+    ['NES T turns in open space', 'nes', 'T', [],
+        { x: 3, y: 17, rotationIndex: 0 }, 1, { x: 3, y: 17, rotationIndex: 1 }],
+    ['NES I can\'t stand up on the floor', 'nes', 'I', [],
+        { x: 3, y: 17, rotationIndex: 0 }, 1, null],
+    ['NES I can\'t lie down against the right wall', 'nes', 'I', [],
+        { x: 7, y: 5, rotationIndex: 1 }, 1, null],
+    ['ARS T kicks right off the left wall', 'ars', 'T', [],
+        { x: -1, y: 5, rotationIndex: 3 }, 1, { x: 0, y: 5, rotationIndex: 0 }],
+    ['ARS J kicks right when a side cell is blocked', 'ars', 'J', ['...#......'],
+        { x: 3, y: 17, rotationIndex: 0 }, 1, { x: 4, y: 17, rotationIndex: 1 }],
+    ['ARS L kicks left when the right kick is blocked too', 'ars', 'L', ['.....#....'],
+        { x: 3, y: 17, rotationIndex: 0 }, -1, { x: 2, y: 17, rotationIndex: 3 }],
+    ['ARS T doesn\'t kick when the center column is blocked', 'ars', 'T', ['....#.....', '..........', '..........'],
+        { x: 3, y: 17, rotationIndex: 0 }, 1, null],
+    ['ARS I never kicks', 'ars', 'I', [],
+        { x: 7, y: 5, rotationIndex: 1 }, 1, null]
+];
+
+for (const [name, system, type, rows, start, direction, expected] of ROTATIONS) {
+    test(name, () => {
+        const board = createBoard(rows);
+        const piece = createPiece(system, type, start);
+        assert.ok(board.isValidPosition(piece), 'start position is free');
+        const end = rotate(board, piece, direction);
+        assert.deepEqual(plain(end), expected);
+    });
+}
+
+for (const system of Object.keys(ROTATION_SYSTEMS)) {
+    test(`${system} spawns every piece in the buffer rows just above the field`, () => {
+        for (const [setId, pieceSet] of Object.entries(PIECE_SETS)) {
+            for (const type of Object.keys(pieceSet.pieces)) {
+                const piece = new Tetromino(type, 10, pieceSet, ROTATION_SYSTEMS[system]);
+                const rows = piece.shape.flatMap((row, r) => row.some(Boolean) ? [piece.y + r] : []);
+                assert.equal(Math.max(...rows), -1, `${setId} ${type}`);
+            }
+        }
+    });
+}